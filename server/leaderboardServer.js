@@ -0,0 +1,118 @@
+// Small shared leaderboard backend for office competitions. No dependencies:
+//
+//   npm run leaderboard-server
+//   VITE_LEADERBOARD_URL=http://<host>:8787 npm run dev
+//
+// Boards are kept in a JSON file (LEADERBOARD_FILE, default
+// server/leaderboards.json) and served at /leaderboards/:levelId/:mode.
+import http from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { boardKey, isGameMode, normalizeEntry, rankEntries } from '../src/leaderboard/rankings.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.LEADERBOARD_FILE ||
+  fileURLToPath(new URL('./leaderboards.json', import.meta.url));
+
+// Entries are tiny; anything bigger than this is not a leaderboard submission
+const MAX_BODY_BYTES = 4096;
+
+const ROUTE = /^\/leaderboards\/([^/]+)\/([^/]+)\/?$/;
+
+const readBoards = async () => {
+  try {
+    return JSON.parse(await readFile(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+};
+
+// Writes are chained so two submissions at once cannot drop each other's entry
+let pendingWrite = Promise.resolve();
+const updateBoard = (key, entry) => {
+  const result = pendingWrite.then(async () => {
+    const boards = await readBoards();
+    boards[key] = rankEntries([...(boards[key] || []), entry]);
+    await writeFile(DATA_FILE, JSON.stringify(boards, null, 2));
+    return boards[key];
+  });
+  pendingWrite = result.catch(() => {});
+  return result;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const send = (res, status, payload) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  const match = ROUTE.exec(new URL(req.url, 'http://localhost').pathname);
+  if (!match) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  try {
+    // Throws a URIError for a path that is not valid percent-encoding
+    const [levelId, mode] = match.slice(1).map(decodeURIComponent);
+    if (!isGameMode(mode)) {
+      send(res, 400, { error: `Unknown mode "${mode}"` });
+      return;
+    }
+    const key = boardKey(levelId, mode);
+
+    if (req.method === 'GET') {
+      const boards = await readBoards();
+      send(res, 200, boards[key] || []);
+    } else if (req.method === 'POST') {
+      let entry;
+      try {
+        entry = normalizeEntry(JSON.parse(await readBody(req)));
+      } catch (error) {
+        entry = null;
+      }
+      if (!entry) {
+        send(res, 400, { error: 'Entries need a name, score, time and progress' });
+        return;
+      }
+      send(res, 200, await updateBoard(key, entry));
+    } else {
+      send(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof URIError) {
+      send(res, 400, { error: 'Malformed leaderboard path' });
+      return;
+    }
+    console.error(error);
+    send(res, 500, { error: 'Could not read or write the leaderboards' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`LavoBot leaderboards on http://localhost:${PORT}, stored in ${DATA_FILE}`);
+});
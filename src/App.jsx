@@ -1,19 +1,105 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { Environment } from '@react-three/drei';
-import ParkingLotScene from './components/ParkingLotScene';
-import DrivewayScene from './components/DrivewayScene';
-import ParkingGarageScene from './components/ParkingGarageScene';
+import LevelScene from './components/LevelScene';
+import ProgressPanel from './components/hud/ProgressPanel';
+import MinimapPanel from './components/hud/MinimapPanel';
+import BatteryPanel from './components/hud/BatteryPanel';
+import TankPanel from './components/hud/TankPanel';
+import ChallengeResults from './components/ChallengeResults';
+import LeaderboardPanel from './components/LeaderboardPanel';
+import SessionPanel from './components/SessionPanel';
+import ReplayScene from './components/ReplayScene';
+import ReplayControls from './components/ReplayControls';
+import ReplayPanel from './components/ReplayPanel';
+import ControlsPanel from './components/ControlsPanel';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import ExportPanel from './components/ExportPanel';
+import VirtualJoystick from './components/VirtualJoystick';
+import LevelEditor from './editor/LevelEditor';
+import { getToolbarButtonStyle } from './components/hud/hudStyles';
+import { LEVELS, DEFAULT_LEVEL_ID, getLevel } from './levels';
+import { BATTERY_CAPACITY } from './game/battery';
+import { TANK_CAPACITY } from './game/tank';
+import { DRIVE_MODES } from './game/kinematics';
+import { getChallenge, scoreRun } from './game/challenge';
+import { createLeaderboardStore } from './leaderboard';
+import { createSessionStore } from './sessions/sessionStore';
+import { createRecorder, loadReplay, parseReplay } from './replay/replay';
+import { DEFAULT_BRUSH } from './game/brush';
+import { CAMERA_MODES, DEFAULT_CAMERA_MODE, nextCameraMode, toCameraMode } from './game/cameraViews';
+import { NO_MOVEMENT, combineMovement, sameMovement } from './controls/movement';
+import { MOVE_ACTIONS, createKeyMap, describeKey, getHeldMovement, normalizeKey } from './controls/bindings';
+import { createControlsStore } from './controls/controlsStore';
+import useGamepad from './controls/useGamepad';
 
 function App() {
-  const [currentScene, setCurrentScene] = useState('parkingLot');
+  const [currentScene, setCurrentScene] = useState(DEFAULT_LEVEL_ID);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editorLevel, setEditorLevel] = useState(null);
   const [isMobile, setIsMobile] = useState(false);
-  const [movement, setMovement] = useState({ x: 0, z: 0 });
+  // Each input device keeps its own movement vector; LavoBot gets their sum
+  const [keyboardMovement, setKeyboardMovement] = useState(NO_MOVEMENT);
+  const [touchMovement, setTouchMovement] = useState(NO_MOVEMENT);
+  const [gamepadMovement, setGamepadMovement] = useState(NO_MOVEMENT);
+  const movement = useMemo(
+    () => combineMovement(keyboardMovement, touchMovement, gamepadMovement),
+    [keyboardMovement, touchMovement, gamepadMovement]
+  );
+  const [cameraMode, setCameraMode] = useState(DEFAULT_CAMERA_MODE);
+  // Where the top-down camera is centred when the minimap picked a spot
+  const [overviewFocus, setOverviewFocus] = useState(null);
+  // The simulation the scene is drawing, its level and when it was opened,
+  // for the minimap, analytics and exports
+  const [sceneView, setSceneView] = useState(null);
+  const [paused, setPaused] = useState(false);
+  // Open analytics report: { level, report }, a snapshot taken when it was opened
+  const [analytics, setAnalytics] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  // Keyboard bindings, remappable in the controls panel and kept in this browser
+  const controlsStore = useMemo(() => createControlsStore(), []);
+  const [bindings, setBindings] = useState(() => controlsStore.loadBindings());
+  const [touchSettings, setTouchSettings] = useState(() => controlsStore.loadTouchSettings());
+  const keyMap = useMemo(() => createKeyMap(bindings), [bindings]);
+  const [showControls, setShowControls] = useState(false);
+  // Runs a control action; kept current for the key and gamepad listeners
+  const actionHandlerRef = useRef(null);
+  const [autoClean, setAutoClean] = useState(false);
+  const [autoDock, setAutoDock] = useState(false);
+  const [driveMode, setDriveMode] = useState('steer');
+  // Free play or a timed challenge; every restart of a run bumps runId to remount the scene
+  const [gameMode, setGameMode] = useState('free');
+  const [runId, setRunId] = useState(0);
+  const [results, setResults] = useState(null);
+  // Open leaderboard: { levelId, mode, submission }
+  const [leaderboard, setLeaderboard] = useState(null);
+  const leaderboardStore = useMemo(() => createLeaderboardStore(), []);
+  // Free-play scenes resume from their autosave; named slots are kept alongside
+  const sessionStore = useMemo(() => createSessionStore(), []);
+  const [showSaves, setShowSaves] = useState(false);
+  const captureSessionRef = useRef(null);
+  // A scene that was reset or overwritten by a load must not save itself on the way out
+  const discardedSceneRef = useRef(null);
+  // The recording in progress, the last one finished and the replay being watched
+  const [recorder, setRecorder] = useState(null);
+  const [lastReplay, setLastReplay] = useState(null);
+  const [showReplays, setShowReplays] = useState(false);
+  const [replayView, setReplayView] = useState(null);
+  const [replayTime, setReplayTime] = useState(0);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(1);
   const [stats, setStats] = useState({
     progress: 0,
     cleanedTiles: 0,
     totalTiles: 0,
-    remainingTiles: 0
+    remainingTiles: 0,
+    dirtScrubbed: 0,
+    messes: 0,
+    collisions: 0,
+    challenge: null,
+    run: { elapsed: 0, distance: 0 },
+    battery: { charge: BATTERY_CAPACITY, state: 'ok', charging: false, returning: false },
+    tank: { level: TANK_CAPACITY, state: 'ok', refilling: false }
   });
 
   useEffect(() => {
@@ -25,61 +111,294 @@ function App() {
     return () => window.removeEventListener('resize', checkMobile);
   }, []);
 
-  // Handle keyboard controls for desktop
+  // Any manual input takes control back from Auto Clean
   useEffect(() => {
+    if (movement.x !== 0 || movement.z !== 0) {
+      setAutoClean(false);
+    }
+  }, [movement]);
+
+  // Keyboard controls through the bindings. Movement keys are held; other
+  // actions fire once per press. Keys typed into a form, or with Ctrl / Cmd
+  // held for a shortcut, are left alone.
+  useEffect(() => {
+    if (showControls) return undefined;
+    const held = new Set();
+    const updateMovement = () => {
+      const next = getHeldMovement(held);
+      setKeyboardMovement(prev => (sameMovement(prev, next) ? prev : next));
+    };
+
     const handleKeyDown = (e) => {
-      switch (e.key) {
-        case 'ArrowUp': setMovement(prev => ({ ...prev, z: -1 })); break;
-        case 'ArrowDown': setMovement(prev => ({ ...prev, z: 1 })); break;
-        case 'ArrowLeft': setMovement(prev => ({ ...prev, x: -1 })); break;
-        case 'ArrowRight': setMovement(prev => ({ ...prev, x: 1 })); break;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const action = keyMap.get(normalizeKey(e.key));
+      if (!action) return;
+      e.preventDefault();
+      if (MOVE_ACTIONS.includes(action)) {
+        held.add(action);
+        updateMovement();
+      } else if (!e.repeat) {
+        actionHandlerRef.current(action);
       }
     };
 
     const handleKeyUp = (e) => {
-      switch (e.key) {
-        case 'ArrowUp':
-        case 'ArrowDown': setMovement(prev => ({ ...prev, z: 0 })); break;
-        case 'ArrowLeft':
-        case 'ArrowRight': setMovement(prev => ({ ...prev, x: 0 })); break;
-      }
+      const action = keyMap.get(normalizeKey(e.key));
+      if (held.delete(action)) updateMovement();
+    };
+
+    // Keys let go while the window was in the background never send a keyup
+    const releaseAll = () => {
+      held.clear();
+      updateMovement();
     };
 
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', releaseAll);
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', releaseAll);
+      releaseAll();
     };
+  }, [keyMap, showControls]);
+
+  const updateBindings = (next) => {
+    setBindings(next);
+    controlsStore.saveBindings(next);
+  };
+
+  const updateTouchSettings = (next) => {
+    setTouchSettings(next);
+    controlsStore.saveTouchSettings(next);
+  };
+
+  const resetControls = () => {
+    setBindings(controlsStore.resetBindings());
+    setTouchSettings(controlsStore.resetTouchSettings());
+  };
+
+  const level = getLevel(currentScene);
+
+  const challenge = useMemo(
+    () => (gameMode === 'challenge' ? getChallenge(level) : null),
+    [gameMode, level]
+  );
+
+  const sceneKey = `${level.id}-${gameMode}-${runId}`;
+
+  // Read once per mount of the play scene: it remounts when its key changes
+  // and when it comes back from behind the editor or the replay viewer
+  const showingPlayScene = !isEditing && !replayView;
+  const initialSession = useMemo(
+    () => (gameMode === 'free' ? sessionStore.loadAutosave(level.id) : null),
+    [sessionStore, sceneKey, showingPlayScene]
+  );
+
+  // A resumed scene comes back in the camera mode it was saved in; others start on the chase cam
+  useEffect(() => {
+    setCameraMode(initialSession ? toCameraMode(initialSession.camera) : DEFAULT_CAMERA_MODE);
+    setOverviewFocus(null);
+  }, [initialSession]);
+
+  const cycleCamera = () => {
+    setCameraMode(nextCameraMode);
+    setOverviewFocus(null);
+  };
+
+  // A spot picked on the minimap is looked at from above
+  const lookAtFromAbove = (point) => {
+    setCameraMode('topDown');
+    setOverviewFocus(point);
+  };
+
+  // A new scene or run starts the overview back on the middle of its site
+  const reportSimulation = useCallback((simulation, simulatedLevel) => {
+    setSceneView({ simulation, level: simulatedLevel, startedAt: new Date().toISOString() });
+    setOverviewFocus(null);
+    setAnalytics(null);
+    setShowExport(false);
   }, []);
 
-  const updateStats = (newStats) => {
-    setStats(newStats);
+  const openAnalytics = () => {
+    if (!sceneView) return;
+    setAnalytics({ level: sceneView.level, report: sceneView.simulation.getAnalytics() });
   };
 
-  // Simple movement controls for mobile
-  const handleMove = (direction) => {
-    switch(direction) {
-      case 'up':
-        setMovement({ x: 0, z: -1 });
-        break;
-      case 'down':
-        setMovement({ x: 0, z: 1 });
-        break;
-      case 'left':
-        setMovement({ x: -1, z: 0 });
-        break;
-      case 'right':
-        setMovement({ x: 1, z: 0 });
+  const saveSession = useCallback((key, session) => {
+    if (key !== discardedSceneRef.current) sessionStore.writeAutosave(session);
+  }, [sessionStore]);
+
+  // A recording only makes sense within one mount of the scene, so anything
+  // that remounts it ends the recording
+  const finishRecording = () => {
+    if (!recorder) return;
+    setLastReplay(recorder.finish());
+    setRecorder(null);
+  };
+
+  const toggleRecording = () => {
+    if (recorder) {
+      finishRecording();
+    } else if (!isEditing && captureSessionRef.current) {
+      setRecorder(createRecorder({
+        levelId: level.id,
+        brush: DEFAULT_BRUSH,
+        start: captureSessionRef.current()
+      }));
+    }
+  };
+
+  // Throws for replays of scenes this build does not have
+  const openPlayback = (playback) => {
+    const replayLevel = getLevel(playback.levelId);
+    if (!replayLevel) throw new Error(`Replay is of an unknown scene "${playback.levelId}"`);
+    finishRecording();
+    setShowReplays(false);
+    setAutoClean(false);
+    setReplayView({ playback, level: replayLevel });
+    setReplayTime(0);
+    setReplayPlaying(true);
+  };
+
+  const advanceReplay = useCallback((dt) => {
+    setReplayTime(prev => Math.min(prev + dt, replayView.playback.duration));
+  }, [replayView]);
+
+  // Stop at the end; playing again starts over
+  useEffect(() => {
+    if (replayView && replayTime >= replayView.playback.duration) setReplayPlaying(false);
+  }, [replayView, replayTime]);
+
+  const toggleReplayPlaying = () => {
+    if (!replayPlaying && replayTime >= replayView.playback.duration) setReplayTime(0);
+    setReplayPlaying(prev => !prev);
+  };
+
+  const restartRun = () => {
+    finishRecording();
+    setPaused(false);
+    setResults(null);
+    setRunId(prev => prev + 1);
+  };
+
+  const selectScene = (id) => {
+    setIsEditing(false);
+    setAutoClean(false);
+    setCurrentScene(id);
+    restartRun();
+  };
+
+  // Steps through the scene selector, wrapping round at either end
+  const stepScene = (step) => {
+    const index = LEVELS.findIndex(({ id }) => id === currentScene);
+    selectScene(LEVELS[(index + step + LEVELS.length) % LEVELS.length].id);
+  };
+
+  const toggleGameMode = () => {
+    setGameMode(prev => (prev === 'free' ? 'challenge' : 'free'));
+    setAutoClean(false);
+    restartRun();
+  };
+
+  // Start the scene over from freshly seeded dirt at the spawn point
+  const resetScene = () => {
+    if (gameMode === 'free') {
+      discardedSceneRef.current = sceneKey;
+      sessionStore.clearAutosave(level.id);
+    }
+    setIsEditing(false);
+    setAutoClean(false);
+    restartRun();
+  };
+
+  const saveToSlot = (name) => {
+    if (!captureSessionRef.current) return false;
+    return sessionStore.writeSave(name, captureSessionRef.current());
+  };
+
+  // A loaded slot becomes its scene's autosave, which the remounted scene resumes
+  const loadSlot = (name) => {
+    const session = sessionStore.readSave(name);
+    if (!session || !getLevel(session.levelId)) return;
+    if (gameMode === 'free' && session.levelId === level.id) {
+      discardedSceneRef.current = sceneKey;
+    }
+    sessionStore.writeAutosave(session);
+    setShowSaves(false);
+    setIsEditing(false);
+    setAutoClean(false);
+    setGameMode('free');
+    setCurrentScene(session.levelId);
+    restartRun();
+  };
+
+  const handleChallengeEnd = (run) => {
+    setResults({ levelName: level.name, challenge, run, score: scoreRun(run, challenge) });
+  };
+
+  const submitChallengeRun = () => {
+    setLeaderboard({
+      levelId: level.id,
+      mode: 'challenge',
+      submission: {
+        levelId: level.id,
+        mode: 'challenge',
+        score: results.score.total,
+        time: results.run.elapsed,
+        progress: results.run.cleanliness
+      }
+    });
+  };
+
+  // Free play has no finish line, so the run so far can be saved at any point.
+  // Its score is simply cleanliness out of 1000.
+  const openLeaderboard = () => {
+    const canSubmit = gameMode === 'free' && !isEditing;
+    setLeaderboard({
+      levelId: level.id,
+      mode: gameMode,
+      submission: canSubmit ? {
+        levelId: level.id,
+        mode: 'free',
+        score: Math.round(stats.progress * 10),
+        time: stats.run.elapsed,
+        progress: stats.progress
+      } : null
+    });
+  };
+
+  // Auto Clean that finished by itself rather than being taken over ends the run
+  const endAutoClean = (reason) => {
+    setAutoClean(false);
+    if (reason === 'done') openAnalytics();
+  };
+
+  // Scenes report stats piecemeal (progress, battery, ...) so merge them
+  const updateStats = useCallback((newStats) => {
+    setStats(prev => ({ ...prev, ...newStats }));
+  }, []);
+
+  // Pause holds the simulation where it is; while watching a replay it pauses that
+  actionHandlerRef.current = (action) => {
+    switch (action) {
+      case 'cycleCamera': cycleCamera(); break;
+      case 'pause':
+        if (replayView) toggleReplayPlaying();
+        else setPaused(prev => !prev);
         break;
+      case 'previousScene': if (!replayView) stepScene(-1); break;
+      case 'nextScene': if (!replayView) stepScene(1); break;
       default:
-        setMovement({ x: 0, z: 0 });
     }
   };
 
-  const handleStop = () => {
-    setMovement({ x: 0, z: 0 });
-  };
+  useGamepad({
+    onMove: setGamepadMovement,
+    onAction: action => actionHandlerRef.current(action)
+  });
 
   return (
     <div style={{ width: '100vw', height: '100vh', position: 'relative', overflow: 'hidden' }}>
@@ -88,72 +407,24 @@ function App() {
         position: 'absolute',
         top: isMobile ? '10px' : '20px',
         right: isMobile ? '10px' : '20px',
-        background: 'rgba(0, 0, 0, 0.85)',
-        padding: isMobile ? '10px' : '20px',
-        borderRadius: '15px',
-        color: 'white',
-        fontFamily: 'Arial, sans-serif',
-        minWidth: isMobile ? '120px' : '250px',
-        maxWidth: isMobile ? '150px' : 'none',
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
-        border: '2px solid rgba(255, 255, 255, 0.1)',
+        display: replayView ? 'none' : 'flex',
+        flexDirection: isMobile ? 'column' : 'row',
+        alignItems: isMobile ? 'flex-end' : 'flex-start',
+        gap: isMobile ? '5px' : '10px',
         zIndex: 1000,
-        fontSize: isMobile ? '12px' : '14px',
         pointerEvents: 'none'
       }}>
-        <div style={{ 
-          fontSize: isMobile ? '16px' : '20px', 
-          fontWeight: 'bold', 
-          color: '#4fc3f7',
-          marginBottom: isMobile ? '10px' : '15px',
-          textAlign: 'center',
-          textShadow: '0 2px 4px rgba(0,0,0,0.5)'
-        }}>
-          Progress
-        </div>
-        
-        {/* Progress Bar */}
-        <div style={{ 
-          width: '100%', 
-          height: isMobile ? '15px' : '20px', 
-          background: 'rgba(255,255,255,0.1)',
-          borderRadius: '10px',
-          overflow: 'hidden',
-          marginBottom: isMobile ? '10px' : '15px'
-        }}>
-          <div style={{
-            width: `${stats.progress}%`,
-            height: '100%',
-            background: 'linear-gradient(90deg, #4CAF50, #81c784)',
-            transition: 'width 0.3s ease-in-out'
-          }} />
-        </div>
-
-        <div style={{
-          fontSize: isMobile ? '18px' : '24px',
-          fontWeight: 'bold',
-          color: '#81c784',
-          textAlign: 'center',
-          marginBottom: isMobile ? '10px' : '15px'
-        }}>
-          {stats.progress}%
-        </div>
-
-        <div style={{
-          display: 'grid',
-          gap: isMobile ? '5px' : '10px',
-          fontSize: isMobile ? '12px' : '14px',
-          color: '#b0bec5'
-        }}>
-          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-            <span>Cleaned:</span>
-            <span style={{ color: '#4fc3f7' }}>{stats.cleanedTiles}/{stats.totalTiles}</span>
-          </div>
-          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-            <span>Left:</span>
-            <span style={{ color: '#ff8a65' }}>{stats.remainingTiles}</span>
-          </div>
-        </div>
+        <TankPanel tank={stats.tank} isMobile={isMobile} />
+        <BatteryPanel battery={stats.battery} isMobile={isMobile} />
+        <ProgressPanel stats={stats} isMobile={isMobile} />
+        {sceneView && !replayView && (
+          <MinimapPanel
+            level={sceneView.level}
+            simulation={sceneView.simulation}
+            isMobile={isMobile}
+            onSelectPoint={lookAtFromAbove}
+          />
+        )}
       </div>
 
       <Canvas 
@@ -172,120 +443,221 @@ function App() {
           userSelect: 'none'
         }}
       >
-        {currentScene === 'parkingLot' && <ParkingLotScene onStatsUpdate={updateStats} movement={movement} />}
-        {currentScene === 'driveway' && <DrivewayScene onStatsUpdate={updateStats} movement={movement} />}
-        {currentScene === 'parkingGarage' && <ParkingGarageScene onStatsUpdate={updateStats} movement={movement} />}
+        {replayView ? (
+          <ReplayScene
+            level={replayView.level}
+            playback={replayView.playback}
+            time={replayTime}
+            playing={replayPlaying}
+            speed={replaySpeed}
+            onAdvance={advanceReplay}
+          />
+        ) : isEditing && editorLevel ? (
+          // Remount the preview when the spawn moves so LavoBot starts from it
+          <LevelScene
+            key={`editor-${editorLevel.spawn.join(',')}`}
+            level={editorLevel}
+            onStatsUpdate={updateStats}
+            movement={movement}
+            driveMode={driveMode}
+            cameraMode={cameraMode}
+            overviewFocus={overviewFocus}
+            onSimulationChange={reportSimulation}
+            paused={paused}
+            autoClean={autoClean}
+            autoDock={autoDock}
+            onAutoCleanEnd={endAutoClean}
+          />
+        ) : (
+          <LevelScene
+            key={sceneKey}
+            level={level}
+            onStatsUpdate={updateStats}
+            movement={movement}
+            driveMode={driveMode}
+            cameraMode={cameraMode}
+            overviewFocus={overviewFocus}
+            onSimulationChange={reportSimulation}
+            paused={paused}
+            autoClean={autoClean}
+            autoDock={autoDock}
+            onAutoCleanEnd={endAutoClean}
+            challenge={challenge}
+            onChallengeEnd={handleChallengeEnd}
+            initialSession={initialSession}
+            onSessionSave={gameMode === 'free' ? session => saveSession(sceneKey, session) : undefined}
+            captureSessionRef={captureSessionRef}
+            recorder={recorder}
+          />
+        )}
         <Environment preset="city" />
       </Canvas>
 
-      {/* Simple Movement Controls for Mobile */}
-      {isMobile && (
+      {results && (
+        <ChallengeResults
+          {...results}
+          isMobile={isMobile}
+          onRetry={restartRun}
+          onSubmit={submitChallengeRun}
+          onShowAnalytics={openAnalytics}
+          onClose={() => setResults(null)}
+        />
+      )}
+
+      {analytics && (
+        <AnalyticsPanel
+          {...analytics}
+          isMobile={isMobile}
+          onClose={() => setAnalytics(null)}
+        />
+      )}
+
+      {showExport && sceneView && (
+        <ExportPanel
+          level={sceneView.level}
+          simulation={sceneView.simulation}
+          mode={isEditing ? 'editor' : gameMode}
+          startedAt={sceneView.startedAt}
+          isMobile={isMobile}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {leaderboard && (
+        <LeaderboardPanel
+          {...leaderboard}
+          store={leaderboardStore}
+          levels={LEVELS}
+          isMobile={isMobile}
+          onClose={() => setLeaderboard(null)}
+        />
+      )}
+
+      {showReplays && (
+        <ReplayPanel
+          lastReplay={lastReplay}
+          levels={LEVELS}
+          isMobile={isMobile}
+          onWatch={replay => openPlayback(loadReplay(replay))}
+          onOpenFile={text => openPlayback(parseReplay(text))}
+          onClose={() => setShowReplays(false)}
+        />
+      )}
+
+      {replayView && (
+        <ReplayControls
+          playback={replayView.playback}
+          levelName={replayView.level.name}
+          time={replayTime}
+          playing={replayPlaying}
+          speed={replaySpeed}
+          isMobile={isMobile}
+          onTogglePlay={toggleReplayPlaying}
+          onSeek={setReplayTime}
+          onSpeedChange={setReplaySpeed}
+          onClose={() => setReplayView(null)}
+        />
+      )}
+
+      {showSaves && (
+        <SessionPanel
+          store={sessionStore}
+          levels={LEVELS}
+          canSave={gameMode === 'free' && !isEditing}
+          isMobile={isMobile}
+          onSave={saveToSlot}
+          onLoad={loadSlot}
+          onClose={() => setShowSaves(false)}
+        />
+      )}
+
+      {showControls && (
+        <ControlsPanel
+          bindings={bindings}
+          touchSettings={touchSettings}
+          isMobile={isMobile}
+          onChange={updateBindings}
+          onTouchSettingsChange={updateTouchSettings}
+          onReset={resetControls}
+          onClose={() => setShowControls(false)}
+        />
+      )}
+
+      {paused && !replayView && (
+        <div style={{
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          background: 'rgba(0, 0, 0, 0.85)',
+          padding: isMobile ? '15px 20px' : '25px 40px',
+          borderRadius: '15px',
+          color: 'white',
+          fontFamily: 'Arial, sans-serif',
+          textAlign: 'center',
+          zIndex: 1500
+        }}>
+          <div style={{ fontSize: isMobile ? '20px' : '28px', fontWeight: 'bold', marginBottom: '10px' }}>
+            Paused
+          </div>
+          <button
+            onClick={() => setPaused(false)}
+            style={{
+              padding: isMobile ? '6px 10px' : '8px 16px',
+              background: '#4CAF50',
+              color: 'white',
+              border: 'none',
+              borderRadius: '5px',
+              cursor: 'pointer',
+              fontSize: isMobile ? '12px' : '14px'
+            }}
+          >
+            Resume{bindings.pause[0] ? ` (${describeKey(bindings.pause[0])})` : ''}
+          </button>
+        </div>
+      )}
+
+      {isEditing && (
+        <LevelEditor onPreviewChange={setEditorLevel} onExit={() => setIsEditing(false)} />
+      )}
+
+      {/* Thumbstick and camera button for touch screens */}
+      {isMobile && !replayView && (
         <div style={{
           position: 'fixed',
           bottom: '40px',
-          left: '50%',
-          transform: 'translateX(-50%)',
-          display: 'grid',
-          gridTemplateColumns: 'repeat(3, 60px)',
-          gridTemplateRows: 'repeat(3, 60px)',
-          gap: '5px',
+          left: '30px',
+          right: '30px',
+          display: 'flex',
+          alignItems: 'flex-end',
+          justifyContent: 'space-between',
           zIndex: 2000,
+          pointerEvents: 'none'
         }}>
-          {/* Up button */}
-          <div style={{ gridColumn: '2' }}>
-            <button
-              onTouchStart={() => handleMove('up')}
-              onTouchEnd={handleStop}
-              style={{
-                width: '60px',
-                height: '60px',
-                backgroundColor: 'rgba(0, 0, 0, 0.7)',
-                border: '2px solid white',
-                borderRadius: '50%',
-                color: 'white',
-                fontSize: '24px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                touchAction: 'none',
-                WebkitTapHighlightColor: 'transparent',
-              }}
-            >
-              ⬆️
-            </button>
-          </div>
-          
-          {/* Left button */}
-          <div style={{ gridRow: '2' }}>
-            <button
-              onTouchStart={() => handleMove('left')}
-              onTouchEnd={handleStop}
-              style={{
-                width: '60px',
-                height: '60px',
-                backgroundColor: 'rgba(0, 0, 0, 0.7)',
-                border: '2px solid white',
-                borderRadius: '50%',
-                color: 'white',
-                fontSize: '24px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                touchAction: 'none',
-                WebkitTapHighlightColor: 'transparent',
-              }}
-            >
-              ⬅️
-            </button>
-          </div>
-          
-          {/* Right button */}
-          <div style={{ gridColumn: '3', gridRow: '2' }}>
-            <button
-              onTouchStart={() => handleMove('right')}
-              onTouchEnd={handleStop}
-              style={{
-                width: '60px',
-                height: '60px',
-                backgroundColor: 'rgba(0, 0, 0, 0.7)',
-                border: '2px solid white',
-                borderRadius: '50%',
-                color: 'white',
-                fontSize: '24px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                touchAction: 'none',
-                WebkitTapHighlightColor: 'transparent',
-              }}
-            >
-              ➡️
-            </button>
-          </div>
-          
-          {/* Down button */}
-          <div style={{ gridColumn: '2', gridRow: '3' }}>
-            <button
-              onTouchStart={() => handleMove('down')}
-              onTouchEnd={handleStop}
-              style={{
-                width: '60px',
-                height: '60px',
-                backgroundColor: 'rgba(0, 0, 0, 0.7)',
-                border: '2px solid white',
-                borderRadius: '50%',
-                color: 'white',
-                fontSize: '24px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                touchAction: 'none',
-                WebkitTapHighlightColor: 'transparent',
-              }}
-            >
-              ⬇️
-            </button>
+          <div style={{ pointerEvents: 'auto' }}>
+            <VirtualJoystick settings={touchSettings} onMove={setTouchMovement} />
           </div>
+          <button
+            onClick={() => actionHandlerRef.current('cycleCamera')}
+            title="Next camera"
+            style={{
+              width: '60px',
+              height: '60px',
+              backgroundColor: 'rgba(0, 0, 0, 0.7)',
+              border: '2px solid white',
+              borderRadius: '50%',
+              color: 'white',
+              fontSize: '24px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              pointerEvents: 'auto',
+              touchAction: 'none',
+              WebkitTapHighlightColor: 'transparent',
+            }}
+          >
+            🎥
+          </button>
         </div>
       )}
       
@@ -296,7 +668,8 @@ function App() {
         bottom: isMobile ? 'auto' : '20px',
         left: isMobile ? '10px' : '50%',
         transform: isMobile ? 'none' : 'translateX(-50%)',
-        display: 'flex',
+        // The replay viewer brings its own controls
+        display: replayView ? 'none' : 'flex',
         flexDirection: 'column',
         gap: '5px',
         background: 'rgba(0, 0, 0, 0.85)',
@@ -307,53 +680,113 @@ function App() {
         zIndex: 1000,
         pointerEvents: 'auto'
       }}>
+        {LEVELS.map(({ id, name }) => (
+          <button
+            key={id}
+            onClick={() => selectScene(id)}
+            style={getToolbarButtonStyle(isMobile, !isEditing && currentScene === id ? '#4CAF50' : '#2C3E50')}
+          >
+            {name}
+          </button>
+        ))}
         <button
-          onClick={() => setCurrentScene('parkingLot')}
-          style={{
-            padding: isMobile ? '8px 12px' : '10px 20px',
-            background: currentScene === 'parkingLot' ? '#4CAF50' : '#2C3E50',
-            color: 'white',
-            border: 'none',
-            borderRadius: '5px',
-            cursor: 'pointer',
-            transition: 'background 0.3s',
-            fontSize: isMobile ? '12px' : '16px',
-            whiteSpace: 'nowrap'
-          }}
+          onClick={toggleGameMode}
+          style={getToolbarButtonStyle(isMobile, gameMode === 'challenge' ? '#FF9800' : '#2C3E50')}
         >
-          Parking Lot
+          Mode: {gameMode === 'challenge' ? 'Challenge' : 'Free Play'}
         </button>
         <button
-          onClick={() => setCurrentScene('driveway')}
-          style={{
-            padding: isMobile ? '8px 12px' : '10px 20px',
-            background: currentScene === 'driveway' ? '#4CAF50' : '#2C3E50',
-            color: 'white',
-            border: 'none',
-            borderRadius: '5px',
-            cursor: 'pointer',
-            transition: 'background 0.3s',
-            fontSize: isMobile ? '12px' : '16px',
-            whiteSpace: 'nowrap'
+          onClick={openLeaderboard}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50')}
+        >
+          Leaderboards
+        </button>
+        <button
+          onClick={openAnalytics}
+          disabled={!sceneView}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50', !sceneView)}
+        >
+          Run Analytics
+        </button>
+        <button
+          onClick={() => setShowExport(true)}
+          disabled={!sceneView}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50', !sceneView)}
+        >
+          Export Report
+        </button>
+        <button
+          onClick={() => setShowSaves(true)}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50')}
+        >
+          Save Slots
+        </button>
+        <button
+          onClick={resetScene}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50')}
+        >
+          Reset Scene
+        </button>
+        <button
+          onClick={toggleRecording}
+          disabled={isEditing}
+          style={getToolbarButtonStyle(isMobile, recorder ? '#c62828' : '#2C3E50', isEditing)}
+        >
+          {recorder ? '● Stop Recording' : 'Record'}
+        </button>
+        <button
+          onClick={() => setShowReplays(true)}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50')}
+        >
+          Replays
+        </button>
+        <button
+          onClick={() => {
+            finishRecording();
+            setIsEditing(true);
           }}
+          style={getToolbarButtonStyle(isMobile, isEditing ? '#4CAF50' : '#2C3E50')}
         >
-          Pool Deck
+          Level Editor
         </button>
+        {/* Challenges are for driving yourself, so Auto Clean sits them out */}
         <button
-          onClick={() => setCurrentScene('parkingGarage')}
+          onClick={() => setAutoClean(prev => !prev)}
+          disabled={gameMode === 'challenge'}
           style={{
-            padding: isMobile ? '8px 12px' : '10px 20px',
-            background: currentScene === 'parkingGarage' ? '#4CAF50' : '#2C3E50',
-            color: 'white',
-            border: 'none',
-            borderRadius: '5px',
-            cursor: 'pointer',
-            transition: 'background 0.3s',
-            fontSize: isMobile ? '12px' : '16px',
-            whiteSpace: 'nowrap'
+            ...getToolbarButtonStyle(isMobile, autoClean ? '#FF9800' : '#2C3E50', gameMode === 'challenge'),
+            marginTop: '5px'
           }}
         >
-          Parking Garage
+          {autoClean ? 'Stop Auto Clean' : 'Auto Clean'}
+        </button>
+        <button
+          onClick={() => setAutoDock(prev => !prev)}
+          style={getToolbarButtonStyle(isMobile, autoDock ? '#4CAF50' : '#2C3E50')}
+        >
+          Return to Dock: {autoDock ? 'On' : 'Off'}
+        </button>
+        <button
+          onClick={() => setDriveMode(prev => (prev === 'steer' ? 'tank' : 'steer'))}
+          title={driveMode === 'steer'
+            ? 'Arrows pick a direction and LavoBot turns to face it'
+            : 'Up/down drive forward and back, left/right rotate'}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50')}
+        >
+          Controls: {DRIVE_MODES[driveMode]}
+        </button>
+        <button
+          onClick={cycleCamera}
+          title="Chase, first person, an overview of the whole site, or orbit freely (drag to turn, scroll or pinch to zoom)"
+          style={getToolbarButtonStyle(isMobile, '#2C3E50')}
+        >
+          Camera: {CAMERA_MODES[cameraMode]}
+        </button>
+        <button
+          onClick={() => setShowControls(true)}
+          style={getToolbarButtonStyle(isMobile, '#2C3E50')}
+        >
+          Control Settings
         </button>
       </div>
     </div>
@@ -0,0 +1,193 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { LEVELS } from './levels';
+
+// No WebGL here: the Canvas is a plain div and the scenes report the props
+// they were given, which is what App is responsible for
+vi.mock('@react-three/fiber', () => ({
+  Canvas: ({ children }) => <div data-testid="canvas">{children}</div>,
+  useFrame: () => {},
+  useThree: () => ({})
+}));
+
+vi.mock('@react-three/drei', () => ({
+  Environment: () => null,
+  Line: () => null,
+  useGLTF: () => ({ scene: null })
+}));
+
+vi.mock('./components/LevelScene', () => ({
+  default: ({ level, movement, cameraMode, paused }) => (
+    <div
+      data-testid="level-scene"
+      data-level={level.id}
+      data-movement={`${movement.x},${movement.z}`}
+      data-camera-mode={cameraMode}
+      data-paused={String(paused)}
+    />
+  )
+}));
+
+vi.mock('./components/ReplayScene', () => ({
+  default: () => <div data-testid="replay-scene" />
+}));
+
+const SELECTED = 'rgb(76, 175, 80)';
+
+const sceneButton = (name) => screen.getByRole('button', { name });
+
+const setWidth = (width) => {
+  Object.defineProperty(window, 'innerWidth', { configurable: true, writable: true, value: width });
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+  setWidth(1024);
+});
+
+afterEach(cleanup);
+
+describe('scene selector', () => {
+  it('lists every scene and starts on the first', () => {
+    render(<App />);
+    LEVELS.forEach(({ name }) => expect(sceneButton(name)).toBeTruthy());
+    expect(screen.getByTestId('level-scene').dataset.level).toBe(LEVELS[0].id);
+    expect(sceneButton(LEVELS[0].name).style.background).toBe(SELECTED);
+  });
+
+  it('switches scene and highlights the one picked', () => {
+    render(<App />);
+    LEVELS.forEach(({ id, name }) => {
+      fireEvent.click(sceneButton(name));
+      expect(screen.getByTestId('level-scene').dataset.level).toBe(id);
+      LEVELS.forEach((other) => {
+        expect(sceneButton(other.name).style.background === SELECTED).toBe(other.id === id);
+      });
+    });
+  });
+});
+
+describe('camera button', () => {
+  it('cycles through every camera mode', () => {
+    render(<App />);
+    const modes = ['chase', 'firstPerson', 'topDown', 'orbit', 'chase'];
+    modes.forEach((mode, i) => {
+      if (i > 0) fireEvent.click(screen.getByRole('button', { name: /^Camera:/ }));
+      expect(screen.getByTestId('level-scene').dataset.cameraMode).toBe(mode);
+    });
+    expect(screen.getByRole('button', { name: 'Camera: Chase' })).toBeTruthy();
+  });
+});
+
+describe('mobile thumbstick', () => {
+  const scene = () => screen.getByTestId('level-scene').dataset;
+  const touch = (identifier, clientX, clientY) => ({ changedTouches: [{ identifier, clientX, clientY }] });
+
+  it('only shows on narrow screens', () => {
+    render(<App />);
+    expect(screen.queryByTestId('joystick')).toBeNull();
+  });
+
+  it('drives diagonally at partial speed and stops on release', () => {
+    setWidth(375);
+    render(<App />);
+    const stick = screen.getByTestId('joystick');
+    fireEvent.touchStart(stick, touch(1, 100, 100));
+    expect(scene().movement).toBe('0,0');
+    fireEvent.touchMove(stick, touch(1, 130, 70));
+    const [x, z] = scene().movement.split(',').map(Number);
+    expect(x).toBeGreaterThan(0);
+    expect(x).toBeLessThan(1);
+    expect(z).toBe(-x);
+    fireEvent.touchEnd(stick, touch(1, 130, 70));
+    expect(scene().movement).toBe('0,0');
+  });
+
+  it('keeps driving while another finger works the camera button', () => {
+    setWidth(375);
+    render(<App />);
+    const stick = screen.getByTestId('joystick');
+    fireEvent.touchStart(stick, touch(1, 100, 100));
+    fireEvent.touchMove(stick, touch(1, 100, 20));
+    expect(scene().movement).toBe('0,-1');
+
+    const camera = screen.getByTitle('Next camera');
+    fireEvent.touchStart(camera, touch(2, 300, 100));
+    fireEvent.touchEnd(camera, touch(2, 300, 100));
+    fireEvent.click(camera);
+    expect(scene().cameraMode).toBe('firstPerson');
+    // A finger the stick is not following changes nothing
+    fireEvent.touchEnd(stick, touch(2, 300, 100));
+    expect(scene().movement).toBe('0,-1');
+
+    fireEvent.touchEnd(stick, touch(1, 100, 20));
+    expect(scene().movement).toBe('0,0');
+  });
+});
+
+describe('keyboard bindings', () => {
+  const scene = () => screen.getByTestId('level-scene').dataset;
+
+  it('drives on WASD as well as the arrows', () => {
+    render(<App />);
+    fireEvent.keyDown(window, { key: 'w' });
+    fireEvent.keyDown(window, { key: 'ArrowLeft' });
+    expect(scene().movement).toBe('-1,-1');
+    fireEvent.keyUp(window, { key: 'w' });
+    expect(scene().movement).toBe('-1,0');
+    fireEvent.keyUp(window, { key: 'ArrowLeft' });
+    expect(scene().movement).toBe('0,0');
+  });
+
+  it('switches camera, pauses and changes scene from the keyboard', () => {
+    render(<App />);
+    fireEvent.keyDown(window, { key: 'v' });
+    expect(scene().cameraMode).toBe('firstPerson');
+    fireEvent.keyDown(window, { key: 'p' });
+    expect(scene().paused).toBe('true');
+    expect(screen.getByText('Paused')).toBeTruthy();
+    fireEvent.keyDown(window, { key: ']' });
+    expect(scene().level).toBe(LEVELS[1].id);
+    expect(scene().paused).toBe('false');
+    fireEvent.keyDown(window, { key: '[' });
+    fireEvent.keyDown(window, { key: '[' });
+    expect(scene().level).toBe(LEVELS[LEVELS.length - 1].id);
+  });
+
+  it('uses a key remapped in the settings panel, and remembers it', () => {
+    render(<App />);
+    fireEvent.click(sceneButton('Control Settings'));
+    fireEvent.click(sceneButton('V'));
+    fireEvent.keyDown(window, { key: 'w' });
+    expect(screen.getByText(/W is already used for Move up/)).toBeTruthy();
+    fireEvent.keyDown(window, { key: 'c' });
+    expect(sceneButton('C')).toBeTruthy();
+    fireEvent.click(sceneButton('Close'));
+
+    fireEvent.keyDown(window, { key: 'v' });
+    expect(scene().cameraMode).toBe('chase');
+    fireEvent.keyDown(window, { key: 'c' });
+    expect(scene().cameraMode).toBe('firstPerson');
+
+    cleanup();
+    render(<App />);
+    fireEvent.keyDown(window, { key: 'c' });
+    expect(scene().cameraMode).toBe('firstPerson');
+  });
+});
+
+describe('blocked site data', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('still starts when the browser will not hand over localStorage', () => {
+    vi.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new DOMException('denied', 'SecurityError');
+    });
+    render(<App />);
+    expect(screen.getByTestId('level-scene').dataset.level).toBe(LEVELS[0].id);
+  });
+});
@@ -0,0 +1,10 @@
+// Even reaching localStorage can throw, e.g. when the browser blocks site
+// data. Stores take null instead and guard every use, so no storage just
+// means nothing is kept.
+export const getBrowserStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
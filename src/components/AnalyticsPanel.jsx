@@ -0,0 +1,163 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { formatTime } from '../game/challenge';
+import { HEAT_COLORS, getCleaningRates, getHeatColor } from '../game/analytics';
+import { createMinimapLayout } from '../game/minimap';
+import { getColliders } from '../levels/collision';
+import { drawCells, drawColliders, prepareMapCanvas } from './hud/mapDrawing';
+import {
+  getButtonStyle,
+  getModalOverlayStyle,
+  getModalStyle,
+  getModalTitleStyle,
+  getSectionTitleStyle
+} from './hud/hudStyles';
+
+// Longest side of the heatmap in CSS pixels
+const HEATMAP_SIZE = 320;
+const MOBILE_HEATMAP_SIZE = 220;
+
+// The chart is drawn in these units and stretched to the panel's width
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 120;
+
+const RATE_COLOR = '#FF9800';
+const CLEANLINESS_COLOR = '#81c784';
+
+// Only the largest missed regions are listed
+const LISTED_REGIONS = 6;
+
+// SVG polyline points for `values` ({ time, value }) on the chart's axes
+const toPolyline = (values, duration, maxValue) => values
+  .map(({ time, value }) => {
+    const x = duration > 0 ? (time / duration) * CHART_WIDTH : 0;
+    const y = CHART_HEIGHT - (maxValue > 0 ? (value / maxValue) * CHART_HEIGHT : 0);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  })
+  .join(' ');
+
+function Heatmap({ level, passes, isMobile }) {
+  const canvasRef = useRef();
+  const layout = useMemo(
+    () => createMinimapLayout(level.bounds, isMobile ? MOBILE_HEATMAP_SIZE : HEATMAP_SIZE),
+    [level, isMobile]
+  );
+
+  useEffect(() => {
+    const context = prepareMapCanvas(canvasRef.current, layout);
+    if (!context) return;
+    drawCells(context, layout, passes, getHeatColor);
+    drawColliders(context, layout, getColliders(level));
+  }, [level, passes, layout]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ display: 'block', width: `${layout.width}px`, height: `${layout.height}px`, margin: '0 auto' }}
+    />
+  );
+}
+
+// Cleaning rate (dirt scrubbed per minute) and cleanliness over the run
+function CleaningChart({ timeline }) {
+  const start = timeline[0].time;
+  const duration = timeline[timeline.length - 1].time - start;
+  const rates = getCleaningRates(timeline);
+  const maxRate = Math.max(0, ...rates.map(({ rate }) => rate));
+  const ratePoints = toPolyline(rates.map(({ time, rate }) => ({ time: time - start, value: rate })), duration, maxRate);
+  const cleanlinessPoints = toPolyline(
+    timeline.map(({ time, cleanliness }) => ({ time: time - start, value: cleanliness })),
+    duration,
+    100
+  );
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        style={{ width: '100%', height: `${CHART_HEIGHT}px`, background: 'rgba(255, 255, 255, 0.05)' }}
+      >
+        <polyline points={cleanlinessPoints} fill="none" stroke={CLEANLINESS_COLOR} strokeWidth="2" />
+        <polyline points={ratePoints} fill="none" stroke={RATE_COLOR} strokeWidth="2" />
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#b0bec5', fontSize: '11px' }}>
+        <span style={{ color: RATE_COLOR }}>Rate (peak {maxRate.toFixed(1)} cells/min)</span>
+        <span style={{ color: CLEANLINESS_COLOR }}>Cleanliness (0–100%)</span>
+        <span>{formatTime(duration)}</span>
+      </div>
+    </div>
+  );
+}
+
+// Post-run coverage analytics: where LavoBot went and how often, how much of
+// its time and driving paid off, and what it never got clean. `report` comes
+// from the simulation's getAnalytics().
+export default function AnalyticsPanel({ level, report, isMobile, onClose }) {
+  const cleanliness = report.timeline[report.timeline.length - 1].cleanliness;
+  const figures = [
+    ['Time', formatTime(report.duration)],
+    ['Path length', `${report.pathLength.toFixed(1)} units`],
+    ['Idle time', formatTime(report.idleTime)],
+    ['Overlap', `${report.overlap}%`],
+    ['Cells reached', `${report.visitedCells} / ${report.totalCells}`],
+    ['Cleanliness', `${cleanliness}%`]
+  ];
+  const missedCells = report.missedRegions.reduce((sum, region) => sum + region.size, 0);
+
+  return (
+    <div style={getModalOverlayStyle(3050)}>
+      <div style={{ ...getModalStyle(isMobile, '480px'), fontSize: isMobile ? '12px' : '14px' }}>
+        <div style={getModalTitleStyle(isMobile)}>
+          {level.name}: Run Analytics
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px 20px', color: '#ccc' }}>
+          {figures.map(([label, value]) => (
+            <div key={label} style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>{label}</span>
+              <span style={{ color: 'white' }}>{value}</span>
+            </div>
+          ))}
+        </div>
+
+        <div style={getSectionTitleStyle(isMobile)}>Passes per cell</div>
+        <Heatmap level={level} passes={report.passes} isMobile={isMobile} />
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', marginTop: '6px', color: '#b0bec5' }}>
+          {HEAT_COLORS.map((color, passes) => (
+            <span key={color} style={{ display: 'flex', alignItems: 'center', gap: '3px' }}>
+              <span style={{ width: '10px', height: '10px', background: color, display: 'inline-block' }} />
+              {passes === HEAT_COLORS.length - 1 ? `${passes}+` : passes}
+            </span>
+          ))}
+        </div>
+
+        <div style={getSectionTitleStyle(isMobile)}>Cleaning over time</div>
+        {report.timeline.length > 1
+          ? <CleaningChart timeline={report.timeline} />
+          : <div style={{ color: '#999' }}>Not enough of the run yet to chart.</div>}
+
+        <div style={getSectionTitleStyle(isMobile)}>Missed regions</div>
+        {report.missedRegions.length === 0 ? (
+          <div style={{ color: '#999' }}>Nothing left dirty.</div>
+        ) : (
+          <div style={{ color: '#ccc' }}>
+            <div style={{ marginBottom: '4px' }}>
+              {missedCells} dirty {missedCells === 1 ? 'cell' : 'cells'} in {report.missedRegions.length}{' '}
+              {report.missedRegions.length === 1 ? 'patch' : 'patches'}
+            </div>
+            {report.missedRegions.slice(0, LISTED_REGIONS).map(({ size, centre, minX, maxX, minZ, maxZ }, i) => (
+              <div key={i} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>{size} {size === 1 ? 'cell' : 'cells'} around ({centre.x}, {centre.z})</span>
+                <span style={{ color: '#999' }}>x {minX}…{maxX}, z {minZ}…{maxZ}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'center', marginTop: '20px' }}>
+          <button onClick={onClose} style={getButtonStyle(isMobile, '#2C3E50')}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
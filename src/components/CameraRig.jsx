@@ -0,0 +1,101 @@
+import React, { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { wrapAngle } from '../game/kinematics';
+import { frameSmoothing } from '../game/clock';
+import { getChaseView, getFirstPersonView, getOverviewView } from '../game/cameraViews';
+
+// How quickly the chase and first-person cameras swing round to LavoBot's
+// heading, how quickly the chase cam closes in on its spot and how quickly the
+// overview pans to a new focus, per tick
+const CAMERA_FOLLOW = 0.1;
+const CHASE_FOLLOW = 0.2;
+const OVERVIEW_PAN = 0.15;
+
+// Orbit zoom limits, and how close to the horizon it may tilt
+const ORBIT_MIN_DISTANCE = 1.5;
+const ORBIT_MAX_DISTANCE = 40;
+const ORBIT_MAX_POLAR = Math.PI / 2 - 0.05;
+
+const setVector = (vector, { x, y, z }) => vector.set(x, y, z);
+
+// Points the scene's camera for `mode` (see game/cameraViews.js), following
+// whatever `targetRef` holds. Scenes place LavoBot in a useFrame that runs
+// before this one so the camera never trails a frame behind. `overviewFocus`
+// ({ x, z }) centres the top-down view somewhere other than the middle.
+export default function CameraRig({ mode, level, targetRef, overviewFocus = null }) {
+  const { camera, size } = useThree();
+  const yawRef = useRef(null);
+  const controlsRef = useRef();
+  const lastTargetRef = useRef(null);
+  const goal = useRef(new THREE.Vector3()).current;
+
+  // Orbit starts from wherever the camera is, turning around LavoBot
+  useEffect(() => {
+    if (mode !== 'orbit' || !controlsRef.current || !targetRef.current) return;
+    controlsRef.current.target.copy(targetRef.current.position);
+    controlsRef.current.update();
+    lastTargetRef.current = targetRef.current.position.clone();
+  }, [mode, targetRef]);
+
+  useFrame((state, delta) => {
+    const target = targetRef.current;
+    if (!target) return;
+    const { position } = target;
+
+    // Cameras swing round behind LavoBot as it turns instead of snapping
+    const heading = target.rotation.y;
+    if (yawRef.current === null) yawRef.current = heading;
+    const yawError = wrapAngle(heading - yawRef.current);
+    yawRef.current = wrapAngle(yawRef.current + yawError * frameSmoothing(CAMERA_FOLLOW, delta));
+    const yaw = yawRef.current;
+
+    switch (mode) {
+      case 'firstPerson': {
+        const view = getFirstPersonView(position, yaw);
+        setVector(camera.position, view.position);
+        camera.lookAt(view.target.x, view.target.y, view.target.z);
+        break;
+      }
+      case 'topDown': {
+        const view = getOverviewView(level.bounds, camera.fov, size.width / size.height, overviewFocus);
+        camera.position.lerp(setVector(goal, view.position), frameSmoothing(OVERVIEW_PAN, delta));
+        // Look straight down from wherever the pan has got to
+        const { x, z } = camera.position;
+        camera.lookAt(x, 0, z - (view.position.z - view.target.z));
+        break;
+      }
+      case 'orbit': {
+        // Carry the camera along with LavoBot; the player sets angle and zoom
+        const controls = controlsRef.current;
+        if (!controls) break;
+        if (lastTargetRef.current) {
+          camera.position.add(goal.copy(position).sub(lastTargetRef.current));
+          lastTargetRef.current.copy(position);
+        } else {
+          lastTargetRef.current = position.clone();
+        }
+        controls.target.copy(position);
+        controls.update();
+        break;
+      }
+      default: {
+        const view = getChaseView(position, yaw);
+        camera.position.lerp(setVector(goal, view.position), frameSmoothing(CHASE_FOLLOW, delta));
+        camera.lookAt(position);
+      }
+    }
+  });
+
+  return mode === 'orbit' ? (
+    <OrbitControls
+      ref={controlsRef}
+      makeDefault
+      enablePan={false}
+      minDistance={ORBIT_MIN_DISTANCE}
+      maxDistance={ORBIT_MAX_DISTANCE}
+      maxPolarAngle={ORBIT_MAX_POLAR}
+    />
+  ) : null;
+}
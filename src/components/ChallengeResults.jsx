@@ -0,0 +1,81 @@
+import React from 'react';
+import { SCORE_WEIGHTS, formatTime } from '../game/challenge';
+import { getButtonStyle, getModalOverlayStyle, getModalStyle } from './hud/hudStyles';
+
+const SCORE_ROWS = [
+  { key: 'completion', label: 'Completion' },
+  { key: 'time', label: 'Time bonus' },
+  { key: 'efficiency', label: 'Path efficiency' },
+  { key: 'collisions', label: 'No bumps' }
+];
+
+// A notch bigger than other dialogs' buttons: this is where the run ends
+const resultButtonStyle = (isMobile, background) => ({
+  ...getButtonStyle(isMobile, background),
+  padding: isMobile ? '8px 12px' : '10px 20px',
+  fontSize: isMobile ? '12px' : '16px'
+});
+
+// End-of-run summary for challenge mode
+export default function ChallengeResults({
+  levelName,
+  challenge,
+  run,
+  score,
+  isMobile,
+  onRetry,
+  onSubmit,
+  onShowAnalytics,
+  onClose
+}) {
+  return (
+    <div style={getModalOverlayStyle(3000)}>
+      <div style={{
+        ...getModalStyle(isMobile, 'auto'),
+        width: 'auto',
+        padding: isMobile ? '15px' : '30px',
+        minWidth: isMobile ? '240px' : '360px',
+        textAlign: 'center'
+      }}>
+        <div style={{ fontSize: isMobile ? '18px' : '24px', fontWeight: 'bold', color: '#4fc3f7' }}>
+          {levelName}: {score.passed ? 'Target reached!' : "Time's up"}
+        </div>
+
+        <div style={{ fontSize: isMobile ? '32px' : '44px', color: '#ffca28', margin: '10px 0' }}>
+          {[1, 2, 3].map(star => (star <= score.stars ? '★' : '☆')).join(' ')}
+        </div>
+
+        <div style={{ fontSize: isMobile ? '28px' : '36px', fontWeight: 'bold', color: '#81c784' }}>
+          {score.total}
+        </div>
+
+        <div style={{ margin: '15px 0', fontSize: isMobile ? '12px' : '14px', color: '#ccc' }}>
+          <div>Cleanliness {run.cleanliness}% of {challenge.targetCleanliness}% target</div>
+          <div>Time {formatTime(run.elapsed)} (par {formatTime(challenge.parTime)})</div>
+          <div>Drove {run.distance.toFixed(1)} units, {run.collisions} bumps</div>
+        </div>
+
+        {SCORE_ROWS.map(({ key, label }) => (
+          <div
+            key={key}
+            style={{ display: 'flex', justifyContent: 'space-between', fontSize: isMobile ? '12px' : '14px' }}
+          >
+            <span>{label}</span>
+            <span>{score.parts[key]} / {SCORE_WEIGHTS[key]}</span>
+          </div>
+        ))}
+
+        <div style={{ fontSize: isMobile ? '11px' : '12px', color: '#999', marginTop: '10px' }}>
+          Stars at {challenge.stars.join(' / ')} points
+        </div>
+
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', marginTop: '20px' }}>
+          <button onClick={onRetry} style={resultButtonStyle(isMobile, '#4CAF50')}>Retry</button>
+          <button onClick={onSubmit} style={resultButtonStyle(isMobile, '#0277bd')}>Save score</button>
+          <button onClick={onShowAnalytics} style={resultButtonStyle(isMobile, '#6a1b9a')}>Analytics</button>
+          <button onClick={onClose} style={resultButtonStyle(isMobile, '#2C3E50')}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import {
+  CONTROL_ACTIONS,
+  MAX_KEYS_PER_ACTION,
+  clearKey,
+  describeKey,
+  getActionLabel,
+  getConflict,
+  isBindableKey,
+  normalizeKey,
+  rebindKey
+} from '../controls/bindings';
+import { TOUCH_SETTING_RANGES } from '../controls/touch';
+import {
+  getButtonStyle,
+  getModalOverlayStyle,
+  getModalStyle,
+  getModalTitleStyle,
+  getSectionTitleStyle
+} from './hud/hudStyles';
+
+const keyButtonStyle = (isMobile, listening) => ({
+  ...getButtonStyle(isMobile, listening ? '#FF9800' : '#2C3E50'),
+  minWidth: isMobile ? '64px' : '90px'
+});
+
+const cellStyle = { padding: '4px 8px', textAlign: 'left' };
+
+const TOUCH_SETTING_LABELS = {
+  deadZone: 'Dead zone',
+  sensitivity: 'Sensitivity'
+};
+
+const formatTouchSetting = (name, value) =>
+  (name === 'deadZone' ? `${Math.round(value * 100)}%` : `${value.toFixed(1)}×`);
+
+// Keyboard remapping: pick a slot, press the key for it. A key another action
+// already uses is refused with a note saying which, so nothing is bound twice.
+// Below that, how the on-screen thumbstick responds.
+export default function ControlsPanel({
+  bindings,
+  touchSettings,
+  isMobile,
+  onChange,
+  onTouchSettingsChange,
+  onReset,
+  onClose
+}) {
+  // The slot waiting for a key: { action, slot }
+  const [listening, setListening] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!listening) return undefined;
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setListening(null);
+        return;
+      }
+      const key = normalizeKey(e.key);
+      if (!isBindableKey(key)) return;
+      const owner = getConflict(bindings, listening.action, key);
+      if (owner) {
+        setMessage(`${describeKey(key)} is already used for ${getActionLabel(owner)}. Clear it there first.`);
+        return;
+      }
+      onChange(rebindKey(bindings, listening.action, listening.slot, key));
+      setMessage(null);
+      setListening(null);
+    };
+    // Capture so the game never sees the key being assigned
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [listening, bindings, onChange]);
+
+  const startListening = (action, slot) => {
+    setMessage(null);
+    setListening({ action, slot });
+  };
+
+  const isListening = (action, slot) =>
+    listening !== null && listening.action === action && listening.slot === slot;
+
+  return (
+    <div style={getModalOverlayStyle(3100)}>
+      <div style={getModalStyle(isMobile, '480px')}>
+        <div style={getModalTitleStyle(isMobile)}>
+          Control Settings
+        </div>
+
+        <div style={getSectionTitleStyle(isMobile)}>Keyboard</div>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: isMobile ? '12px' : '14px' }}>
+          <tbody>
+            {CONTROL_ACTIONS.map(({ id, label }) => (
+              <tr key={id} style={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                <td style={cellStyle}>{label}</td>
+                {Array.from({ length: MAX_KEYS_PER_ACTION }, (_, slot) => {
+                  const key = bindings[id][slot];
+                  return (
+                    <td key={slot} style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                      <button
+                        onClick={() => startListening(id, slot)}
+                        style={keyButtonStyle(isMobile, isListening(id, slot))}
+                      >
+                        {isListening(id, slot) ? 'Press a key' : key ? describeKey(key) : '—'}
+                      </button>
+                      {key && (
+                        <button
+                          onClick={() => onChange(clearKey(bindings, id, slot))}
+                          title="Clear"
+                          style={{ ...getButtonStyle(isMobile, 'transparent'), padding: '4px 6px' }}
+                        >
+                          ×
+                        </button>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ color: '#ccc', marginTop: '10px', fontSize: isMobile ? '11px' : '12px' }}>
+          {listening
+            ? `Press a key for ${getActionLabel(listening.action)}, or Esc to cancel.`
+            : 'Click a key to change it. A controller drives with the left stick; Y changes camera, Start pauses and the shoulder buttons change scene.'}
+        </div>
+        {message && <div style={{ color: '#e57373', marginTop: '10px' }}>{message}</div>}
+
+        <div style={getSectionTitleStyle(isMobile)}>Touch thumbstick</div>
+        {Object.entries(TOUCH_SETTING_RANGES).map(([name, { min, max, step }]) => (
+          <label
+            key={name}
+            style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: isMobile ? '12px' : '14px' }}
+          >
+            <span style={{ width: '90px' }}>{TOUCH_SETTING_LABELS[name]}</span>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={touchSettings[name]}
+              onChange={e => onTouchSettingsChange({ ...touchSettings, [name]: Number(e.target.value) })}
+              style={{ flex: 1 }}
+            />
+            <span style={{ width: '40px', textAlign: 'right' }}>{formatTouchSetting(name, touchSettings[name])}</span>
+          </label>
+        ))}
+        <div style={{ color: '#ccc', marginTop: '6px', fontSize: isMobile ? '11px' : '12px' }}>
+          A larger dead zone ignores small thumb movements; higher sensitivity reaches full speed sooner.
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '10px', marginTop: '20px' }}>
+          <button
+            onClick={() => {
+              setListening(null);
+              setMessage(null);
+              onReset();
+            }}
+            style={getButtonStyle(isMobile, '#c62828')}
+          >
+            Reset to Defaults
+          </button>
+          <button onClick={onClose} style={getButtonStyle(isMobile, '#2C3E50')}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
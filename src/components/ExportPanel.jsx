@@ -0,0 +1,106 @@
+import React, { useMemo, useState } from 'react';
+import { createSessionReport, reportFileName, timelineToCsv } from '../sessions/sessionReport';
+import { createMinimapLayout, getMinimapCellColor } from '../game/minimap';
+import { getColliders } from '../levels/collision';
+import { drawCells, drawColliders, drawRobot, prepareMapCanvas } from './hud/mapDrawing';
+import { downloadBlob } from '../download';
+import {
+  getButtonStyle,
+  getModalOverlayStyle,
+  getModalStyle,
+  getModalTitleStyle
+} from './hud/hudStyles';
+
+// Longest side of the exported coverage map in pixels
+const SNAPSHOT_SIZE = 800;
+
+// The top-down coverage map the minimap shows, drawn large on a canvas of its own
+const drawCoverageMap = (level, shades, pose) => {
+  const canvas = document.createElement('canvas');
+  const layout = createMinimapLayout(level.bounds, SNAPSHOT_SIZE);
+  const context = prepareMapCanvas(canvas, layout, 1);
+  if (!context) return null;
+  drawCells(context, layout, shades, getMinimapCellColor);
+  drawColliders(context, layout, getColliders(level));
+  drawRobot(context, layout, pose);
+  return canvas;
+};
+
+// Downloads of the scene as it stood when the panel was opened, so the three
+// files always describe the same moment. All of it is made in the browser.
+export default function ExportPanel({ level, simulation, mode, startedAt, isMobile, onClose }) {
+  const [error, setError] = useState(null);
+  const snapshot = useMemo(() => ({
+    report: createSessionReport({
+      level,
+      mode,
+      startedAt,
+      stats: simulation.getStats(),
+      analytics: simulation.getAnalytics(),
+      dirtLevels: simulation.getDirtLevels()
+    }),
+    shades: simulation.getDirtShades(),
+    pose: simulation.getPose()
+  }), [level, simulation, mode, startedAt]);
+  const { report } = snapshot;
+
+  const exportJson = () => {
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, reportFileName(report, 'report.json'));
+  };
+
+  const exportCsv = () => {
+    const blob = new Blob([timelineToCsv(report.timeline)], { type: 'text/csv' });
+    downloadBlob(blob, reportFileName(report, 'timeline.csv'));
+  };
+
+  const exportPng = () => {
+    const canvas = drawCoverageMap(level, snapshot.shades, snapshot.pose);
+    if (!canvas) {
+      setError('This browser cannot draw the coverage map.');
+      return;
+    }
+    canvas.toBlob((blob) => {
+      if (blob) downloadBlob(blob, reportFileName(report, 'coverage.png'));
+      else setError('The coverage map could not be saved as an image.');
+    }, 'image/png');
+  };
+
+  const exports = [
+    { label: 'JSON report', detail: 'Scene, times, every cell\'s final state and the stats timeline', onClick: exportJson },
+    { label: 'CSV timeline', detail: 'The stats timeline, one row per sample, for spreadsheets', onClick: exportCsv },
+    { label: 'PNG map', detail: 'Top-down coverage map', onClick: exportPng }
+  ];
+
+  return (
+    <div style={getModalOverlayStyle(3100)}>
+      <div style={getModalStyle(isMobile, '420px')}>
+        <div style={getModalTitleStyle(isMobile)}>
+          Export Report
+        </div>
+
+        <div style={{ color: '#ccc', marginBottom: '15px', fontSize: isMobile ? '12px' : '14px' }}>
+          {level.name} at {report.stats.cleanliness}% clean, as of {new Date(report.exportedAt).toLocaleTimeString()}
+        </div>
+
+        {exports.map(({ label, detail, onClick }) => (
+          <div
+            key={label}
+            style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px' }}
+          >
+            <button onClick={onClick} style={{ ...getButtonStyle(isMobile, '#0277bd'), minWidth: '110px' }}>
+              {label}
+            </button>
+            <span style={{ color: '#ccc', fontSize: isMobile ? '11px' : '12px' }}>{detail}</span>
+          </div>
+        ))}
+
+        {error && <div style={{ color: '#e57373', marginTop: '10px' }}>{error}</div>}
+
+        <div style={{ textAlign: 'center', marginTop: '20px' }}>
+          <button onClick={onClose} style={getButtonStyle(isMobile, '#2C3E50')}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react';
+import { GAME_MODES, MAX_NAME_LENGTH } from '../leaderboard';
+import { formatTime } from '../game/challenge';
+import {
+  getButtonStyle,
+  getModalOverlayStyle,
+  getModalStyle,
+  getModalTitleStyle
+} from './hud/hudStyles';
+
+// Remember who is playing between runs
+const PLAYER_NAME_KEY = 'lavobot.playerName';
+
+const readPlayerName = () => {
+  try {
+    return window.localStorage.getItem(PLAYER_NAME_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+const cellStyle = { padding: '4px 8px', textAlign: 'left' };
+
+// High-score tables per scene and mode. With a `submission`
+// ({ levelId, mode, score, time, progress }) it also offers to save that run.
+export default function LeaderboardPanel({ store, levels, levelId, mode, submission, isMobile, onClose }) {
+  const [selectedLevel, setSelectedLevel] = useState(levelId);
+  const [selectedMode, setSelectedMode] = useState(mode);
+  const [entries, setEntries] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState(null);
+  const [name, setName] = useState(readPlayerName);
+  const [submitted, setSubmitted] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+    store.getEntries(selectedLevel, selectedMode)
+      .then(result => {
+        if (cancelled) return;
+        setEntries(result);
+        setStatus('ready');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.message);
+        setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [store, selectedLevel, selectedMode]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const entry = {
+      name,
+      score: submission.score,
+      time: submission.time,
+      progress: submission.progress,
+      date: new Date().toISOString()
+    };
+    try {
+      window.localStorage.setItem(PLAYER_NAME_KEY, name.trim());
+    } catch (err) {
+      // Not being able to remember the name is no reason to lose the score
+    }
+    try {
+      const result = await store.submitEntry(submission.levelId, submission.mode, entry);
+      setSubmitted(entry.date);
+      setSelectedLevel(submission.levelId);
+      setSelectedMode(submission.mode);
+      setEntries(result);
+      setStatus('ready');
+    } catch (err) {
+      setError(err.message);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div style={getModalOverlayStyle(3100)}>
+      <div style={getModalStyle(isMobile, '480px')}>
+        <div style={getModalTitleStyle(isMobile)}>
+          Leaderboards
+        </div>
+
+        <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+          <select
+            value={selectedLevel}
+            onChange={e => setSelectedLevel(e.target.value)}
+            style={{ flex: 1, padding: '6px' }}
+          >
+            {levels.map(({ id, name: levelName }) => (
+              <option key={id} value={id}>{levelName}</option>
+            ))}
+          </select>
+          {Object.entries(GAME_MODES).map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setSelectedMode(id)}
+              style={getButtonStyle(isMobile, selectedMode === id ? '#4CAF50' : '#2C3E50')}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {submission && !submitted && (
+          <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+            <input
+              value={name}
+              onChange={e => setName(e.target.value)}
+              maxLength={MAX_NAME_LENGTH}
+              placeholder="Your name"
+              style={{ flex: 1, padding: '6px' }}
+            />
+            <button type="submit" disabled={!name.trim()} style={getButtonStyle(isMobile, '#4CAF50')}>
+              Save {submission.score} pts
+            </button>
+          </form>
+        )}
+
+        {status === 'loading' && <div style={{ color: '#ccc' }}>Loading…</div>}
+        {status === 'error' && <div style={{ color: '#e57373' }}>Leaderboard unavailable: {error}</div>}
+        {status === 'ready' && entries.length === 0 && (
+          <div style={{ color: '#ccc' }}>No runs saved for this scene and mode yet.</div>
+        )}
+        {status === 'ready' && entries.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: isMobile ? '12px' : '14px' }}>
+            <thead>
+              <tr style={{ color: '#4fc3f7' }}>
+                <th style={cellStyle}>#</th>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>Score</th>
+                <th style={cellStyle}>Time</th>
+                <th style={cellStyle}>Clean</th>
+                <th style={cellStyle}>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, i) => (
+                <tr
+                  key={`${entry.date}-${i}`}
+                  style={{ background: entry.date === submitted ? 'rgba(76, 175, 80, 0.3)' : 'transparent' }}
+                >
+                  <td style={cellStyle}>{i + 1}</td>
+                  <td style={cellStyle}>{entry.name}</td>
+                  <td style={cellStyle}>{entry.score}</td>
+                  <td style={cellStyle}>{formatTime(entry.time)}</td>
+                  <td style={cellStyle}>{entry.progress}%</td>
+                  <td style={cellStyle}>{new Date(entry.date).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ textAlign: 'center', marginTop: '20px' }}>
+          <button onClick={onClose} style={getButtonStyle(isMobile, '#2C3E50')}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import React, { useRef, useState, useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import LevelStage, { DirtOverlay, LavoBot } from './LevelStage';
+import CameraRig from './CameraRig';
+import RouteLine from './RouteLine';
+import RouteRibbon from './RouteRibbon';
+import { nearestOpenCell } from '../game/pathfinding';
+import { DEFAULT_BRUSH } from '../game/brush';
+import { DEFAULT_CAMERA_MODE } from '../game/cameraViews';
+import { createSimulation } from '../game/simulation';
+import { clampToBounds } from '../levels/levelRules';
+
+// Frame callbacks run lowest priority first: LavoBot moves before the camera rig follows
+const SIMULATION_FRAME_PRIORITY = -1;
+
+// Seconds of run time between autosaves of a free-play session
+const AUTOSAVE_INTERVAL = 5;
+
+// Pixels the pointer may move between press and release for a floor click to count
+const CLICK_DRAG_TOLERANCE = 4;
+
+// Draws a simulation (see game/simulation.js) and feeds it the player's input.
+// All game rules live in the simulation; the scene only mirrors what it reports.
+export default function LevelScene({
+  level,
+  onStatsUpdate,
+  movement,
+  driveMode = 'steer',
+  cameraMode = DEFAULT_CAMERA_MODE,
+  overviewFocus = null,
+  paused = false,
+  brush = DEFAULT_BRUSH,
+  autoClean = false,
+  autoDock = false,
+  onAutoCleanEnd,
+  onContact,
+  challenge = null,
+  onChallengeEnd,
+  initialSession = null,
+  onSessionSave,
+  captureSessionRef,
+  recorder = null,
+  onSimulationChange
+}) {
+  const lavobotRef = useRef();
+  // A saved session is only read when the scene mounts: loading another one remounts it
+  const simulation = useMemo(
+    () => createSimulation({ level, brush, session: initialSession, challenge }),
+    [level, brush, challenge]
+  );
+  const [routeView, setRouteView] = useState(null);
+  const [isCharging, setIsCharging] = useState(false);
+  const [activeStation, setActiveStation] = useState(null);
+  // Only the shade each cell is drawn with is state; dirt levels live in the simulation
+  const [dirtShades, setDirtShades] = useState(() => simulation.getDirtShades());
+  const lastSaveRef = useRef(simulation.elapsed);
+  const saveSessionRef = useRef(null);
+
+  const spawnPosition = useMemo(() => {
+    const { x, y, z } = simulation.getPose();
+    return [x, y, z];
+  }, [simulation]);
+
+  // The latest callbacks, for events raised from inside a tick
+  const handlersRef = useRef(null);
+  handlersRef.current = { onStatsUpdate, onAutoCleanEnd, onContact, onChallengeEnd };
+
+  useEffect(() => {
+    handlersRef.current.onStatsUpdate(simulation.getStats());
+    setDirtShades(simulation.getDirtShades());
+    return simulation.subscribe((event) => {
+      const handlers = handlersRef.current;
+      switch (event.type) {
+        case 'stats':
+          handlers.onStatsUpdate(event.stats);
+          break;
+        case 'dirt':
+          setDirtShades(prev => {
+            const next = new Map(prev);
+            event.shades.forEach(([key, shade]) => next.set(key, shade));
+            return next;
+          });
+          break;
+        case 'route':
+          setRouteView(event.route);
+          break;
+        case 'charging':
+          setIsCharging(event.charging);
+          break;
+        case 'station':
+          setActiveStation(event.station);
+          break;
+        case 'contact':
+          if (handlers.onContact) handlers.onContact(event.contact);
+          break;
+        case 'autoCleanEnd':
+          if (handlers.onAutoCleanEnd) handlers.onAutoCleanEnd('done');
+          break;
+        case 'challengeEnd':
+          if (handlers.onChallengeEnd) handlers.onChallengeEnd(event.run);
+          break;
+        default:
+      }
+    });
+  }, [simulation]);
+
+  // Lets HUD views such as the minimap follow the simulation directly
+  useEffect(() => {
+    if (onSimulationChange) onSimulationChange(simulation, level);
+  }, [simulation, level, onSimulationChange]);
+
+  // Pass the controls on as they change
+  useEffect(() => {
+    simulation.setInput(movement);
+  }, [simulation, movement]);
+  useEffect(() => {
+    simulation.setDriveMode(driveMode);
+  }, [simulation, driveMode]);
+  useEffect(() => {
+    simulation.setAutoClean(autoClean);
+  }, [simulation, autoClean]);
+  useEffect(() => {
+    simulation.setAutoDock(autoDock);
+  }, [simulation, autoDock]);
+  useEffect(() => {
+    simulation.setRecorder(recorder);
+  }, [simulation, recorder]);
+
+  const captureSession = () => simulation.captureSession({ cameraMode });
+
+  // Lets the app take a snapshot on demand, e.g. for a named save slot
+  if (captureSessionRef) captureSessionRef.current = captureSession;
+
+  // Always saves what the latest render saw, even from an unmount or unload handler
+  saveSessionRef.current = () => {
+    if (onSessionSave && !simulation.finished) {
+      onSessionSave(captureSession());
+    }
+  };
+
+  // Hand the session over when the scene is switched away from or the page goes
+  useEffect(() => {
+    const handleUnload = () => saveSessionRef.current();
+    window.addEventListener('beforeunload', handleUnload);
+    return () => {
+      window.removeEventListener('beforeunload', handleUnload);
+      saveSessionRef.current();
+    };
+  }, []);
+
+  const handleFloorClick = (e) => {
+    // The end of a drag spent orbiting the camera is not a click on the floor
+    if (e.delta > CLICK_DRAG_TOLERANCE) return;
+    const { bounds } = level;
+    const { x, z } = clampToBounds(bounds, e.point.x, e.point.z);
+    const goal = nearestOpenCell(level, x, z);
+    if (!goal) return;
+    if (autoClean && onAutoCleanEnd) onAutoCleanEnd('interrupted');
+    simulation.navigateTo(goal);
+  };
+
+  // Run however many ticks are due, then draw LavoBot between the last two.
+  // Paused, no time reaches the simulation at all.
+  useFrame((state, delta) => {
+    if (!lavobotRef.current) return;
+
+    if (!paused) simulation.advance(delta);
+
+    if (simulation.elapsed - lastSaveRef.current >= AUTOSAVE_INTERVAL) {
+      lastSaveRef.current = simulation.elapsed;
+      saveSessionRef.current();
+    }
+
+    const pose = simulation.getRenderPose();
+    lavobotRef.current.position.set(pose.x, pose.y, pose.z);
+    lavobotRef.current.rotation.y = pose.heading;
+  }, SIMULATION_FRAME_PRIORITY);
+
+  return (
+    <group>
+      <LevelStage
+        level={level}
+        onFloorClick={handleFloorClick}
+        charging={isCharging}
+        activeStation={activeStation}
+      />
+
+      <DirtOverlay level={level} dirtShades={dirtShades} />
+
+      {routeView && routeView.kind === 'coverage' && (
+        <RouteLine level={level} route={routeView.points} fromIndex={routeView.index} />
+      )}
+      {routeView && routeView.kind !== 'coverage' && (
+        <RouteRibbon level={level} route={routeView.points} fromIndex={routeView.index} />
+      )}
+
+      <LavoBot ref={lavobotRef} position={spawnPosition} brush={brush} />
+      <CameraRig mode={cameraMode} level={level} targetRef={lavobotRef} overviewFocus={overviewFocus} />
+    </group>
+  );
+}
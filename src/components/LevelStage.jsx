@@ -0,0 +1,263 @@
+import React, { forwardRef, useMemo } from 'react';
+import { useGLTF } from '@react-three/drei';
+import * as THREE from 'three';
+import { LevelObjects } from './props';
+import ChargingDock from './props/ChargingDock';
+import RefillStation from './props/RefillStation';
+import { DIRT_SHADES } from '../game/dirt';
+import { CELL_SIZE, ROBOT_HEIGHT_OFFSET, getSurfaceAt, parseCellKey } from '../levels/levelRules';
+
+// What every view of a level draws the same way, whether it is being played
+// or replayed: the site itself, its dirt and LavoBot.
+
+// Cleaning overlays float just above the surface they cover
+const DIRT_OFFSET = 0.0025;
+const CLEANED_OFFSET = 0.005;
+
+// Dirt shades run from a light film to thick grime
+const LIGHT_DIRT_COLOR = new THREE.Color('#6b6455');
+const HEAVY_DIRT_COLOR = new THREE.Color('#2e2a24');
+
+// The brush footprint is drawn just above the floor under LavoBot
+const BRUSH_OFFSET = 0.01;
+
+// Shared geometries
+const SHARED_GEOMETRIES = {
+  cleanedPatch: new THREE.PlaneGeometry(CELL_SIZE, CELL_SIZE)
+};
+
+const SHARED_MATERIALS = {
+  brush: new THREE.MeshBasicMaterial({
+    color: '#4fc3f7',
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false
+  })
+};
+
+const rectCenter = (rect) => [(rect.minX + rect.maxX) / 2, (rect.minZ + rect.maxZ) / 2];
+
+function LevelLighting({ lighting }) {
+  const { ambient, directional, points = [] } = lighting;
+  const shadowCameraSize = directional.shadowCameraSize;
+
+  return (
+    <>
+      <ambientLight intensity={ambient.intensity} />
+      <directionalLight
+        position={directional.position}
+        intensity={directional.intensity}
+        castShadow
+        shadow-mapSize-width={directional.shadowMapSize}
+        shadow-mapSize-height={directional.shadowMapSize}
+        shadow-camera-far={50}
+        shadow-camera-near={1}
+        shadow-bias={directional.shadowBias || 0}
+      >
+        {shadowCameraSize && (
+          <orthographicCamera
+            attach="shadow-camera"
+            args={[-shadowCameraSize, shadowCameraSize, shadowCameraSize, -shadowCameraSize, 0.1, 50]}
+          />
+        )}
+      </directionalLight>
+      {points.map((light, i) => (
+        <pointLight
+          key={`point-${i}`}
+          position={light.position}
+          intensity={light.intensity}
+          distance={light.distance || 0}
+          decay={light.decay === undefined ? 2 : light.decay}
+          color={light.color || '#ffffff'}
+        />
+      ))}
+    </>
+  );
+}
+
+// Surfaces painted cell by cell (e.g. from the level editor) share one material
+function PaintedSurface({ surface }) {
+  const material = useMemo(
+    () => new THREE.MeshStandardMaterial(surface.material),
+    [surface.material]
+  );
+
+  return surface.cells.map(cell => {
+    const { x, z } = parseCellKey(cell);
+    return (
+      <mesh
+        key={cell}
+        position={[x, surface.height, z]}
+        rotation-x={-Math.PI / 2}
+        receiveShadow
+      >
+        <primitive object={SHARED_GEOMETRIES.cleanedPatch} />
+        <primitive object={material} />
+      </mesh>
+    );
+  });
+}
+
+function LevelSurfaces({ level, onFloorClick }) {
+  const { ground, surfaces } = level;
+
+  return (
+    <>
+      <mesh
+        rotation-x={-Math.PI / 2}
+        position={[0, ground.height, 0]}
+        receiveShadow
+        onClick={onFloorClick}
+      >
+        <planeGeometry args={ground.size} />
+        <meshStandardMaterial {...ground.material} />
+      </mesh>
+      {surfaces.filter(surface => surface.material).map((surface, i) => {
+        if (surface.cells) {
+          return <PaintedSurface key={`surface-${i}`} surface={surface} />;
+        }
+        const { rect } = surface;
+        const [x, z] = rectCenter(rect);
+        return (
+          <mesh
+            key={`surface-${i}`}
+            position={[x, surface.height, z]}
+            rotation-x={-Math.PI / 2}
+            receiveShadow
+          >
+            <planeGeometry args={[rect.maxX - rect.minX, rect.maxZ - rect.minZ]} />
+            <meshStandardMaterial {...surface.material} />
+          </mesh>
+        );
+      })}
+    </>
+  );
+}
+
+// Renders one flat patch per cell at the height of the surface underneath it
+const CellOverlay = React.memo(({ level, cells, material, offset, prefix }) => {
+  return Array.from(cells).map(cell => {
+    const { x, z } = parseCellKey(cell);
+    const surface = getSurfaceAt(level, x, z);
+    const height = (surface ? surface.height : level.ground.height) + offset;
+    return (
+      <mesh
+        key={`${prefix}-${cell}`}
+        position={[x, height, z]}
+        rotation-x={-Math.PI / 2}
+        receiveShadow
+        frustumCulled
+      >
+        <primitive object={SHARED_GEOMETRIES.cleanedPatch} />
+        <primitive object={material} />
+      </mesh>
+    );
+  });
+});
+
+// Dirt overlays by shade (1..DIRT_SHADES) plus the cleaned cells (shade 0).
+// `dirtShades` maps cell key to shade.
+export function DirtOverlay({ level, dirtShades }) {
+  const materials = useMemo(() => ({
+    cleaned: new THREE.MeshStandardMaterial({
+      color: '#ffffff',
+      transparent: true,
+      opacity: 0.8,
+      roughness: 0.1,
+      metalness: 0.2,
+      emissive: '#ffffff',
+      emissiveIntensity: level.overlay.cleanedGlow
+    }),
+    // Index 0 is unused: shade 0 means the cell is clean
+    dirt: Array.from({ length: DIRT_SHADES + 1 }, (_, shade) => {
+      const t = shade / DIRT_SHADES;
+      return new THREE.MeshStandardMaterial({
+        color: LIGHT_DIRT_COLOR.clone().lerp(HEAVY_DIRT_COLOR, t),
+        transparent: true,
+        opacity: Math.min(0.95, level.overlay.dirtOpacity * (0.35 + 0.9 * t)),
+        roughness: 0.9,
+        metalness: 0.1
+      });
+    })
+  }), [level]);
+
+  // Cells grouped by shade for the overlays; shade 0 holds the cleaned cells
+  const cellsByShade = useMemo(() => {
+    const byShade = Array.from({ length: DIRT_SHADES + 1 }, () => new Set());
+    dirtShades.forEach((shade, key) => byShade[shade].add(key));
+    return byShade;
+  }, [dirtShades]);
+
+  return (
+    <>
+      {cellsByShade.slice(1).map((cells, i) => (
+        <CellOverlay
+          key={`dirt-${i + 1}`}
+          level={level}
+          cells={cells}
+          material={materials.dirt[i + 1]}
+          offset={DIRT_OFFSET}
+          prefix={`dirt-${i + 1}`}
+        />
+      ))}
+      <CellOverlay
+        level={level}
+        cells={cellsByShade[0]}
+        material={materials.cleaned}
+        offset={CLEANED_OFFSET}
+        prefix="clean"
+      />
+    </>
+  );
+}
+
+// The outer group carries position and heading; the model keeps its own orientation
+export const LavoBot = forwardRef(({ position, brush }, ref) => {
+  // Load the LavoBot model with caching
+  const { scene } = useGLTF('./lavobot.glb', true);
+  const model = useMemo(() => scene.clone(), [scene]);
+
+  const brushGeometry = useMemo(() => (brush.shape === 'circle'
+    ? new THREE.CircleGeometry(brush.width / 2, 24)
+    : new THREE.PlaneGeometry(brush.width, brush.length)), [brush]);
+
+  return (
+    <group ref={ref} position={position}>
+      <primitive
+        object={model}
+        scale={[0.5, 0.5, 0.5]}
+        rotation={[-Math.PI/2, 0, Math.PI/2]}
+        castShadow
+      />
+      {/* What the brush actually scrubs, offset ahead along the heading */}
+      <mesh
+        position={[0, BRUSH_OFFSET - ROBOT_HEIGHT_OFFSET, -brush.offset]}
+        rotation-x={-Math.PI / 2}
+      >
+        <primitive object={brushGeometry} />
+        <primitive object={SHARED_MATERIALS.brush} />
+      </mesh>
+    </group>
+  );
+});
+
+// Lighting, floors, props, obstacles, the dock and the refill stations
+export default function LevelStage({ level, onFloorClick, charging = false, activeStation = null }) {
+  return (
+    <>
+      <LevelLighting lighting={level.lighting} />
+      <LevelSurfaces level={level} onFloorClick={onFloorClick} />
+      <LevelObjects objects={level.props} prefix="prop" />
+      <LevelObjects objects={level.obstacles} prefix="obstacle" />
+      {level.dock && <ChargingDock position={level.dock.position} charging={charging} />}
+      {level.refillStations.map((station, i) => (
+        <RefillStation
+          key={`refill-${i}`}
+          position={station.position}
+          kind={station.kind}
+          active={station === activeStation}
+        />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,90 @@
+import React from 'react';
+import { REPLAY_SPEEDS, getInputAt, getTickAt } from '../replay/replay';
+import { formatTime } from '../game/challenge';
+import { DRIVE_MODES } from '../game/kinematics';
+import { getButtonStyle } from './hud/hudStyles';
+
+const ROUTE_LABELS = {
+  coverage: 'Auto Clean',
+  goto: 'Driving to target',
+  dock: 'Returning to dock'
+};
+
+const describeInput = (input) => {
+  if (!input) return 'No input yet';
+  if (input.route) return ROUTE_LABELS[input.route] || input.route;
+  const driving = input.x !== 0 || input.z !== 0;
+  return `${DRIVE_MODES[input.mode] || input.mode}: ${driving ? `x ${input.x}, z ${input.z}` : 'idle'}`;
+};
+
+// Transport bar for the replay viewer
+export default function ReplayControls({
+  playback,
+  levelName,
+  time,
+  playing,
+  speed,
+  isMobile,
+  onTogglePlay,
+  onSeek,
+  onSpeedChange,
+  onClose
+}) {
+  const input = getInputAt(playback, getTickAt(playback, time));
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: isMobile ? '10px' : '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: isMobile ? '92vw' : '640px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      padding: isMobile ? '10px' : '15px',
+      borderRadius: '15px',
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+      border: '2px solid rgba(255, 255, 255, 0.1)',
+      zIndex: 2500
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontSize: isMobile ? '12px' : '14px',
+        marginBottom: '8px'
+      }}>
+        <span style={{ color: '#4fc3f7', fontWeight: 'bold' }}>Replay: {levelName}</span>
+        <span style={{ color: '#ccc' }}>{new Date(playback.recordedAt).toLocaleString()}</span>
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={playback.duration}
+        step={0.01}
+        value={time}
+        onChange={e => onSeek(Number(e.target.value))}
+        style={{ width: '100%' }}
+      />
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px', flexWrap: 'wrap' }}>
+        <button onClick={onTogglePlay} style={getButtonStyle(isMobile, '#4CAF50')}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <span style={{ fontSize: isMobile ? '12px' : '14px', minWidth: '90px' }}>
+          {formatTime(time)} / {formatTime(playback.duration)}
+        </span>
+        <select value={speed} onChange={e => onSpeedChange(Number(e.target.value))} style={{ padding: '4px' }}>
+          {REPLAY_SPEEDS.map(value => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+        <span style={{ flex: 1, fontSize: isMobile ? '11px' : '13px', color: '#ccc' }}>
+          {describeInput(input)}
+        </span>
+        <button onClick={onClose} style={getButtonStyle(isMobile, '#2C3E50')}>Close</button>
+      </div>
+    </div>
+  );
+}
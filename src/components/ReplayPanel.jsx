@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { replayFileName } from '../replay/replay';
+import { formatTime } from '../game/challenge';
+import { downloadBlob } from '../download';
+import {
+  getButtonStyle,
+  getModalOverlayStyle,
+  getModalStyle,
+  getModalTitleStyle
+} from './hud/hudStyles';
+
+// Replays are plain JSON files the player keeps, e.g. to attach to a bug report
+const downloadReplay = (replay) => {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  downloadBlob(blob, replayFileName(replay));
+};
+
+// The last recording made this visit, plus opening replay files
+export default function ReplayPanel({ lastReplay, levels, isMobile, onWatch, onOpenFile, onClose }) {
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onOpenFile(await file.text());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const lastLevel = lastReplay && levels.find(({ id }) => id === lastReplay.levelId);
+  const lastDuration = lastReplay && lastReplay.times.reduce((sum, ms) => sum + ms, 0) / 1000;
+
+  return (
+    <div style={getModalOverlayStyle(3100)}>
+      <div style={getModalStyle(isMobile, '420px')}>
+        <div style={getModalTitleStyle(isMobile)}>
+          Replays
+        </div>
+
+        {lastReplay ? (
+          <div style={{ marginBottom: '15px' }}>
+            <div style={{ fontSize: isMobile ? '12px' : '14px', marginBottom: '8px' }}>
+              Last recording: {lastLevel ? lastLevel.name : lastReplay.levelId},
+              {' '}{formatTime(lastDuration)} ({lastReplay.ticks} ticks)
+            </div>
+            <div style={{ display: 'flex', gap: '10px' }}>
+              <button onClick={() => onWatch(lastReplay)} style={getButtonStyle(isMobile, '#4CAF50')}>Watch</button>
+              <button onClick={() => downloadReplay(lastReplay)} style={getButtonStyle(isMobile, '#0277bd')}>
+                Download
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div style={{ color: '#ccc', marginBottom: '15px', fontSize: isMobile ? '12px' : '14px' }}>
+            Press Record to capture a run, then Stop Recording to keep it.
+          </div>
+        )}
+
+        <label style={{ display: 'block', fontSize: isMobile ? '12px' : '14px' }}>
+          Open a replay file
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            style={{ display: 'block', marginTop: '6px' }}
+          />
+        </label>
+
+        {error && <div style={{ color: '#e57373', marginTop: '10px' }}>{error}</div>}
+
+        <div style={{ textAlign: 'center', marginTop: '20px' }}>
+          <button onClick={onClose} style={getButtonStyle(isMobile, '#2C3E50')}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Line } from '@react-three/drei';
+import * as THREE from 'three';
+import LevelStage, { DirtOverlay, LavoBot } from './LevelStage';
+import { ROBOT_HEIGHT_OFFSET, getRobotHeight, getSurfaceAt } from '../levels/levelRules';
+import { countDirtChanges, getPoseAt, getShadesAfter, getStartShades, getTickAt } from '../replay/replay';
+
+// The replay camera hangs above and behind LavoBot without turning with it,
+// so the site stays the right way up while the run is reviewed
+const CAMERA_OFFSET = new THREE.Vector3(0, 7, 6);
+
+// Ticks between points of the trail drawn behind LavoBot, and its height
+// above the floor so it stays clear of the overlays
+const TRAIL_STEP = 10;
+const TRAIL_OFFSET = 0.03;
+
+// Plays a recorded run back: LavoBot follows the recorded poses, the dirt
+// overlay changes the way it did during the run and its path is drawn behind it. The clock
+// lives with the caller; while playing the scene asks it to advance.
+export default function ReplayScene({ level, playback, time, playing, speed, onAdvance }) {
+  const robotRef = useRef();
+  const { camera } = useThree();
+
+  const startShades = useMemo(() => getStartShades(playback, level), [level, playback]);
+
+  const tick = getTickAt(playback, time);
+  const changeCount = countDirtChanges(playback, Math.floor(tick));
+
+  // Only rebuilt when the overlay changed
+  const dirtShades = useMemo(
+    () => getShadesAfter(playback, startShades, changeCount),
+    [playback, startShades, changeCount]
+  );
+
+  const trailEnd = Math.floor(tick / TRAIL_STEP);
+  const trail = useMemo(() => {
+    const points = [];
+    for (let i = 0; i <= trailEnd; i++) {
+      const { x, z } = getPoseAt(playback, i * TRAIL_STEP);
+      const surface = getSurfaceAt(level, x, z);
+      points.push([x, (surface ? surface.height : level.ground.height) + TRAIL_OFFSET, z]);
+    }
+    return points;
+  }, [level, playback, trailEnd]);
+
+  const startPosition = useMemo(() => {
+    const { x, z } = getPoseAt(playback, 0);
+    return [x, ROBOT_HEIGHT_OFFSET, z];
+  }, [playback]);
+
+  // Show where the replay starts before it is played
+  useEffect(() => {
+    camera.position.set(startPosition[0], 0, startPosition[2]).add(CAMERA_OFFSET);
+    camera.lookAt(startPosition[0], 0, startPosition[2]);
+  }, [camera, startPosition]);
+
+  useFrame((state, delta) => {
+    if (playing) onAdvance(delta * speed);
+    if (!robotRef.current) return;
+
+    const pose = getPoseAt(playback, getTickAt(playback, time));
+    const height = getRobotHeight(level, pose.x, pose.z);
+    robotRef.current.position.set(pose.x, height === null ? ROBOT_HEIGHT_OFFSET : height, pose.z);
+    robotRef.current.rotation.y = pose.heading;
+
+    camera.position.copy(robotRef.current.position).add(CAMERA_OFFSET);
+    camera.lookAt(robotRef.current.position);
+  });
+
+  return (
+    <group>
+      <LevelStage level={level} />
+      <DirtOverlay level={level} dirtShades={dirtShades} />
+      {trail.length > 1 && <Line points={trail} color="#ab47bc" lineWidth={2} />}
+      <LavoBot ref={robotRef} position={startPosition} brush={playback.brush} />
+    </group>
+  );
+}
@@ -0,0 +1,26 @@
+import React, { useMemo } from 'react';
+import { Line } from '@react-three/drei';
+import { getSurfaceAt } from '../levels/levelRules';
+import { simplifyPath } from '../game/pathfinding';
+
+// Keeps route markings clear of the dirt and cleaned overlays
+const ROUTE_OFFSET = 0.03;
+
+// Corners of the part of a route still ahead of LavoBot, lifted onto the floor
+export const useRoutePoints = (level, route, fromIndex) => useMemo(() => {
+  if (!route) return [];
+  const remaining = simplifyPath(route.slice(Math.max(fromIndex - 1, 0)));
+  return remaining.map(([x, z]) => {
+    const surface = getSurfaceAt(level, x, z);
+    return [x, (surface ? surface.height : level.ground.height) + ROUTE_OFFSET, z];
+  });
+}, [level, route, fromIndex]);
+
+// Thin line for long coverage routes
+export default function RouteLine({ level, route, fromIndex = 0, color = '#ffca28', lineWidth = 3 }) {
+  const points = useRoutePoints(level, route, fromIndex);
+
+  if (points.length < 2) return null;
+
+  return <Line points={points} color={color} lineWidth={lineWidth} dashed={false} />;
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import * as THREE from 'three';
+import { useRoutePoints } from './RouteLine';
+
+const RIBBON_WIDTH = 0.4;
+
+const SHARED_GEOMETRIES = {
+  segment: new THREE.PlaneGeometry(1, 1),
+  goal: new THREE.RingGeometry(0.3, 0.45, 24)
+};
+
+const SHARED_MATERIALS = {
+  ribbon: new THREE.MeshBasicMaterial({
+    color: '#4fc3f7',
+    transparent: true,
+    opacity: 0.6,
+    depthWrite: false
+  }),
+  goal: new THREE.MeshBasicMaterial({ color: '#4fc3f7', side: THREE.DoubleSide })
+};
+
+// Flat strip along a click-to-navigate route with a ring on the goal cell
+export default function RouteRibbon({ level, route, fromIndex = 0 }) {
+  const points = useRoutePoints(level, route, fromIndex);
+
+  if (points.length < 2) return null;
+
+  const goal = points[points.length - 1];
+  return (
+    <group>
+      {points.slice(1).map((end, i) => {
+        const start = points[i];
+        const dx = end[0] - start[0];
+        const dz = end[2] - start[2];
+        // Pad each leg by the ribbon width so corners join without gaps
+        const length = Math.hypot(dx, dz) + RIBBON_WIDTH;
+        return (
+          <mesh
+            key={`ribbon-${i}`}
+            position={[(start[0] + end[0]) / 2, Math.max(start[1], end[1]), (start[2] + end[2]) / 2]}
+            rotation={[-Math.PI / 2, 0, Math.atan2(-dz, dx)]}
+            scale={[length, RIBBON_WIDTH, 1]}
+          >
+            <primitive object={SHARED_GEOMETRIES.segment} />
+            <primitive object={SHARED_MATERIALS.ribbon} />
+          </mesh>
+        );
+      })}
+      <mesh position={goal} rotation-x={-Math.PI / 2}>
+        <primitive object={SHARED_GEOMETRIES.goal} />
+        <primitive object={SHARED_MATERIALS.goal} />
+      </mesh>
+    </group>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import {
+  getButtonStyle,
+  getModalOverlayStyle,
+  getModalStyle,
+  getModalTitleStyle
+} from './hud/hudStyles';
+
+const MAX_SLOT_NAME_LENGTH = 24;
+
+const cellStyle = { padding: '4px 8px', textAlign: 'left' };
+
+// Named save slots: save the scene being played, or load any slot back
+export default function SessionPanel({ store, levels, canSave, isMobile, onSave, onLoad, onClose }) {
+  const [saves, setSaves] = useState(() => store.listSaves());
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const levelName = (levelId) => {
+    const level = levels.find(({ id }) => id === levelId);
+    return level ? level.name : levelId;
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!onSave(name.trim())) {
+      setError('Could not save: browser storage is full or unavailable.');
+      return;
+    }
+    setError(null);
+    setName('');
+    setSaves(store.listSaves());
+  };
+
+  const handleDelete = (slotName) => {
+    store.deleteSave(slotName);
+    setSaves(store.listSaves());
+  };
+
+  return (
+    <div style={getModalOverlayStyle(3100)}>
+      <div style={getModalStyle(isMobile, '480px')}>
+        <div style={getModalTitleStyle(isMobile)}>
+          Save Slots
+        </div>
+
+        {canSave ? (
+          <form onSubmit={handleSave} style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+            <input
+              value={name}
+              onChange={e => setName(e.target.value)}
+              maxLength={MAX_SLOT_NAME_LENGTH}
+              placeholder="Slot name"
+              style={{ flex: 1, padding: '6px' }}
+            />
+            <button type="submit" disabled={!name.trim()} style={getButtonStyle(isMobile, '#4CAF50')}>
+              Save scene
+            </button>
+          </form>
+        ) : (
+          <div style={{ color: '#ccc', marginBottom: '15px' }}>Only free play scenes can be saved.</div>
+        )}
+
+        {error && <div style={{ color: '#e57373', marginBottom: '10px' }}>{error}</div>}
+
+        {saves.length === 0 ? (
+          <div style={{ color: '#ccc' }}>No saved sessions yet.</div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: isMobile ? '12px' : '14px' }}>
+            <thead>
+              <tr style={{ color: '#4fc3f7' }}>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>Scene</th>
+                <th style={cellStyle}>Clean</th>
+                <th style={cellStyle}>Saved</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {saves.map(save => (
+                <tr key={save.name}>
+                  <td style={cellStyle}>{save.name}</td>
+                  <td style={cellStyle}>{levelName(save.levelId)}</td>
+                  <td style={cellStyle}>{save.progress}%</td>
+                  <td style={cellStyle}>{new Date(save.savedAt).toLocaleString()}</td>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                    <button onClick={() => onLoad(save.name)} style={getButtonStyle(isMobile, '#0277bd')}>
+                      Load
+                    </button>{' '}
+                    <button onClick={() => handleDelete(save.name)} style={getButtonStyle(isMobile, '#c62828')}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ textAlign: 'center', marginTop: '20px' }}>
+          <button onClick={onClose} style={getButtonStyle(isMobile, '#2C3E50')}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useRef, useState } from 'react';
+import { NO_MOVEMENT } from '../controls/movement';
+import { JOYSTICK_RADIUS, getJoystickMovement, getKnobOffset } from '../controls/touch';
+
+const BASE_SIZE = JOYSTICK_RADIUS * 2 + 40;
+const KNOB_SIZE = 56;
+
+// On-screen thumbstick for touch screens. It follows one finger, the one that
+// landed on it, so other fingers can work buttons without disturbing it.
+// Pushing is measured from where that finger landed, so a thumb that lands
+// off-centre does not start the robot moving.
+export default function VirtualJoystick({ settings, onMove }) {
+  // The finger steering: { id, x, y } where it landed
+  const touchRef = useRef(null);
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+
+  const findTouch = (touches) =>
+    Array.from(touches).find(touch => touchRef.current && touch.identifier === touchRef.current.id);
+
+  const handleTouchStart = (e) => {
+    if (touchRef.current) return;
+    const touch = e.changedTouches[0];
+    touchRef.current = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+  };
+
+  const handleTouchMove = (e) => {
+    const touch = findTouch(e.changedTouches);
+    if (!touch) return;
+    const dx = touch.clientX - touchRef.current.x;
+    const dy = touch.clientY - touchRef.current.y;
+    setKnob(getKnobOffset(dx, dy));
+    onMove(getJoystickMovement(dx, dy, settings));
+  };
+
+  const handleTouchEnd = (e) => {
+    if (!findTouch(e.changedTouches)) return;
+    touchRef.current = null;
+    setKnob({ x: 0, y: 0 });
+    onMove(NO_MOVEMENT);
+  };
+
+  return (
+    <div
+      data-testid="joystick"
+      onTouchStart={handleTouchStart}
+      onTouchMove={handleTouchMove}
+      onTouchEnd={handleTouchEnd}
+      onTouchCancel={handleTouchEnd}
+      style={{
+        position: 'relative',
+        width: `${BASE_SIZE}px`,
+        height: `${BASE_SIZE}px`,
+        borderRadius: '50%',
+        background: 'rgba(0, 0, 0, 0.5)',
+        border: '2px solid rgba(255, 255, 255, 0.6)',
+        touchAction: 'none',
+        WebkitTapHighlightColor: 'transparent'
+      }}
+    >
+      <div style={{
+        position: 'absolute',
+        left: `${(BASE_SIZE - KNOB_SIZE) / 2 + knob.x}px`,
+        top: `${(BASE_SIZE - KNOB_SIZE) / 2 + knob.y}px`,
+        width: `${KNOB_SIZE}px`,
+        height: `${KNOB_SIZE}px`,
+        borderRadius: '50%',
+        background: 'rgba(255, 255, 255, 0.8)',
+        pointerEvents: 'none'
+      }} />
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+import {
+  detailRowStyle,
+  getBarTrackStyle,
+  getBigNumberStyle,
+  getDetailsStyle,
+  getPanelStyle,
+  getTitleStyle
+} from './hudStyles';
+
+const STATE_COLORS = {
+  ok: '#81c784',
+  low: '#ffb74d',
+  empty: '#e57373'
+};
+
+const statusText = (battery) => {
+  if (battery.charging) return 'Charging';
+  if (battery.returning) return 'Returning to dock';
+  if (battery.state === 'empty') return 'Empty - LavoBot stopped';
+  if (battery.state === 'low') return 'Low - reduced speed';
+  return 'Running';
+};
+
+export default function BatteryPanel({ battery, isMobile }) {
+  const color = battery.charging ? '#4fc3f7' : STATE_COLORS[battery.state];
+
+  return (
+    <div style={{ ...getPanelStyle(isMobile), minWidth: isMobile ? '100px' : '160px' }}>
+      <div style={getTitleStyle(isMobile)}>
+        Battery
+      </div>
+
+      <div style={getBarTrackStyle(isMobile)}>
+        <div style={{
+          width: `${battery.charge}%`,
+          height: '100%',
+          background: color,
+          transition: 'width 0.3s ease-in-out, background 0.3s'
+        }} />
+      </div>
+
+      <div style={getBigNumberStyle(isMobile, color)}>
+        {battery.charge}%
+      </div>
+
+      <div style={getDetailsStyle(isMobile)}>
+        <div style={detailRowStyle}>
+          <span style={{ color }}>{statusText(battery)}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { getPanelStyle, getTitleStyle } from './hudStyles';
+import { getColliders } from '../../levels/collision';
+import { BLOCKED_COLOR, CLEANED_COLOR, createMinimapLayout, getMinimapCellColor } from '../../game/minimap';
+import { drawCells, drawColliders, drawRobot, prepareMapCanvas } from './mapDrawing';
+
+// Longest side of the map in CSS pixels
+const MAP_SIZE = 210;
+const MOBILE_MAP_SIZE = 110;
+
+const LEGEND = [
+  { label: 'Clean', color: CLEANED_COLOR },
+  { label: 'Dirty', color: getMinimapCellColor(4) },
+  { label: 'Blocked', color: BLOCKED_COLOR }
+];
+
+// A live plan of the scene: every cell coloured by how dirty it is, what is in
+// the way, and where LavoBot is heading. Clicking a spot hands the world point
+// under it to `onSelectPoint`.
+export default function MinimapPanel({ level, simulation, isMobile, onSelectPoint }) {
+  const canvasRef = useRef();
+  const size = isMobile ? MOBILE_MAP_SIZE : MAP_SIZE;
+  const layout = useMemo(() => createMinimapLayout(level.bounds, size), [level, size]);
+
+  useEffect(() => {
+    const context = prepareMapCanvas(canvasRef.current, layout);
+    if (!context) return undefined;
+
+    const colliders = getColliders(level);
+    const shades = simulation.getDirtShades();
+    let changed = true;
+    let lastPose = null;
+    let frame = null;
+
+    const unsubscribe = simulation.subscribe((event) => {
+      if (event.type !== 'dirt') return;
+      event.shades.forEach(([key, shade]) => shades.set(key, shade));
+      changed = true;
+    });
+
+    const draw = (pose) => {
+      drawCells(context, layout, shades, getMinimapCellColor);
+      drawColliders(context, layout, colliders);
+      drawRobot(context, layout, pose);
+    };
+
+    // Redrawn only when LavoBot has moved or a cell has changed
+    const render = () => {
+      const pose = simulation.getRenderPose();
+      const moved = !lastPose || pose.x !== lastPose.x || pose.z !== lastPose.z || pose.heading !== lastPose.heading;
+      if (changed || moved) {
+        draw(pose);
+        changed = false;
+        lastPose = pose;
+      }
+      frame = requestAnimationFrame(render);
+    };
+    frame = requestAnimationFrame(render);
+
+    return () => {
+      unsubscribe();
+      cancelAnimationFrame(frame);
+    };
+  }, [simulation, level, layout]);
+
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSelectPoint(layout.toWorld(e.clientX - rect.left, e.clientY - rect.top));
+  };
+
+  return (
+    <div style={{ ...getPanelStyle(isMobile), minWidth: 0 }}>
+      <div style={getTitleStyle(isMobile)}>
+        Map
+      </div>
+      <canvas
+        ref={canvasRef}
+        onClick={handleClick}
+        title="Click to look at this spot from above"
+        style={{
+          display: 'block',
+          width: `${layout.width}px`,
+          height: `${layout.height}px`,
+          margin: '0 auto',
+          borderRadius: '4px',
+          cursor: 'pointer',
+          pointerEvents: 'auto'
+        }}
+      />
+      {!isMobile && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '10px', color: '#b0bec5' }}>
+          {LEGEND.map(({ label, color }) => (
+            <span key={label} style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+              <span style={{ width: '10px', height: '10px', background: color, display: 'inline-block' }} />
+              {label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
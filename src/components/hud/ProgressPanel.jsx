@@ -0,0 +1,75 @@
+import React from 'react';
+import {
+  detailRowStyle,
+  getBarTrackStyle,
+  getBigNumberStyle,
+  getDetailsStyle,
+  getPanelStyle,
+  getTitleStyle
+} from './hudStyles';
+import { formatTime } from '../../game/challenge';
+
+// The countdown turns red for the last stretch
+const HURRY_SECONDS = 15;
+
+export default function ProgressPanel({ stats, isMobile }) {
+  return (
+    <div style={getPanelStyle(isMobile)}>
+      <div style={getTitleStyle(isMobile)}>
+        Cleanliness
+      </div>
+
+      {stats.challenge && (
+        <div style={{ ...detailRowStyle, marginBottom: isMobile ? '8px' : '12px' }}>
+          <span style={{
+            fontSize: isMobile ? '16px' : '22px',
+            fontWeight: 'bold',
+            color: stats.challenge.timeLeft <= HURRY_SECONDS ? '#e57373' : 'white'
+          }}>
+            {formatTime(stats.challenge.timeLeft)}
+          </span>
+          <span style={{ alignSelf: 'center' }}>
+            Target {stats.challenge.targetCleanliness}%
+          </span>
+        </div>
+      )}
+
+      {/* Progress Bar */}
+      <div style={getBarTrackStyle(isMobile)}>
+        <div style={{
+          width: `${stats.progress}%`,
+          height: '100%',
+          background: 'linear-gradient(90deg, #4CAF50, #81c784)',
+          transition: 'width 0.3s ease-in-out'
+        }} />
+      </div>
+
+      <div style={getBigNumberStyle(isMobile, '#81c784')}>
+        {stats.progress}%
+      </div>
+
+      <div style={getDetailsStyle(isMobile)}>
+        <div style={detailRowStyle}>
+          <span>Clean now:</span>
+          <span style={{ color: '#4fc3f7' }}>{stats.cleanedTiles}/{stats.totalTiles}</span>
+        </div>
+        <div style={detailRowStyle}>
+          <span>Left:</span>
+          <span style={{ color: '#ff8a65' }}>{stats.remainingTiles}</span>
+        </div>
+        <div style={detailRowStyle}>
+          <span>Scrubbed:</span>
+          <span style={{ color: '#81c784' }}>{stats.dirtScrubbed} tiles</span>
+        </div>
+        <div style={detailRowStyle}>
+          <span>New messes:</span>
+          <span style={{ color: '#ffca28' }}>{stats.messes}</span>
+        </div>
+        <div style={detailRowStyle}>
+          <span>Bumps:</span>
+          <span style={{ color: '#e57373' }}>{stats.collisions}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import {
+  detailRowStyle,
+  getBarTrackStyle,
+  getBigNumberStyle,
+  getDetailsStyle,
+  getPanelStyle,
+  getTitleStyle
+} from './hudStyles';
+
+const STATE_COLORS = {
+  ok: '#4fc3f7',
+  low: '#ffb74d',
+  empty: '#e57373'
+};
+
+const statusText = (tank) => {
+  if (tank.refilling) return 'Refilling';
+  if (tank.state === 'empty') return 'Empty - not cleaning';
+  if (tank.state === 'low') return 'Low - find a refill';
+  return 'Spraying';
+};
+
+export default function TankPanel({ tank, isMobile }) {
+  const color = STATE_COLORS[tank.state];
+
+  return (
+    <div style={{ ...getPanelStyle(isMobile), minWidth: isMobile ? '100px' : '160px' }}>
+      <div style={getTitleStyle(isMobile)}>
+        Solution
+      </div>
+
+      <div style={getBarTrackStyle(isMobile)}>
+        <div style={{
+          width: `${tank.level}%`,
+          height: '100%',
+          background: color,
+          transition: 'width 0.3s ease-in-out, background 0.3s'
+        }} />
+      </div>
+
+      <div style={getBigNumberStyle(isMobile, color)}>
+        {tank.level}%
+      </div>
+
+      <div style={getDetailsStyle(isMobile)}>
+        <div style={detailRowStyle}>
+          <span style={{ color }}>{statusText(tank)}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+// Shared look for the HUD panels in the top-right corner, the dialogs opened
+// over the scene and the buttons on both
+
+export const getPanelStyle = (isMobile) => ({
+  background: 'rgba(0, 0, 0, 0.85)',
+  padding: isMobile ? '10px' : '20px',
+  borderRadius: '15px',
+  color: 'white',
+  fontFamily: 'Arial, sans-serif',
+  minWidth: isMobile ? '120px' : '250px',
+  maxWidth: isMobile ? '150px' : 'none',
+  boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+  border: '2px solid rgba(255, 255, 255, 0.1)',
+  fontSize: isMobile ? '12px' : '14px',
+  pointerEvents: 'none'
+});
+
+export const getTitleStyle = (isMobile) => ({
+  fontSize: isMobile ? '16px' : '20px',
+  fontWeight: 'bold',
+  color: '#4fc3f7',
+  marginBottom: isMobile ? '10px' : '15px',
+  textAlign: 'center',
+  textShadow: '0 2px 4px rgba(0,0,0,0.5)'
+});
+
+export const getBarTrackStyle = (isMobile) => ({
+  width: '100%',
+  height: isMobile ? '15px' : '20px',
+  background: 'rgba(255,255,255,0.1)',
+  borderRadius: '10px',
+  overflow: 'hidden',
+  marginBottom: isMobile ? '10px' : '15px'
+});
+
+export const getBigNumberStyle = (isMobile, color) => ({
+  fontSize: isMobile ? '18px' : '24px',
+  fontWeight: 'bold',
+  color,
+  textAlign: 'center',
+  marginBottom: isMobile ? '10px' : '15px'
+});
+
+export const getDetailsStyle = (isMobile) => ({
+  display: 'grid',
+  gap: isMobile ? '5px' : '10px',
+  fontSize: isMobile ? '12px' : '14px',
+  color: '#b0bec5'
+});
+
+export const detailRowStyle = { display: 'flex', justifyContent: 'space-between' };
+
+export const getButtonStyle = (isMobile, background) => ({
+  padding: isMobile ? '6px 10px' : '8px 16px',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  fontSize: isMobile ? '12px' : '14px'
+});
+
+// The scene selector and the other buttons along the top of the screen; a
+// disabled one is dimmed
+export const getToolbarButtonStyle = (isMobile, background, disabled = false) => ({
+  padding: isMobile ? '8px 12px' : '10px 20px',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1,
+  transition: 'background 0.3s',
+  fontSize: isMobile ? '12px' : '16px',
+  whiteSpace: 'nowrap'
+});
+
+// Dims the scene and centres a dialog over it
+export const getModalOverlayStyle = (zIndex) => ({
+  position: 'absolute',
+  inset: 0,
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  background: 'rgba(0, 0, 0, 0.5)',
+  zIndex
+});
+
+// `width` is the dialog's width on a desktop; long dialogs scroll
+export const getModalStyle = (isMobile, width) => ({
+  background: 'rgba(0, 0, 0, 0.9)',
+  padding: isMobile ? '15px' : '25px',
+  borderRadius: '15px',
+  color: 'white',
+  fontFamily: 'Arial, sans-serif',
+  width: isMobile ? '90vw' : width,
+  maxHeight: '85vh',
+  overflowY: 'auto',
+  boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+  border: '2px solid rgba(255, 255, 255, 0.1)'
+});
+
+export const getModalTitleStyle = (isMobile) => ({
+  fontSize: isMobile ? '18px' : '22px',
+  fontWeight: 'bold',
+  color: '#4fc3f7',
+  textAlign: 'center',
+  marginBottom: '15px'
+});
+
+export const getSectionTitleStyle = (isMobile) => ({
+  fontWeight: 'bold',
+  fontSize: isMobile ? '13px' : '15px',
+  margin: '15px 0 8px'
+});
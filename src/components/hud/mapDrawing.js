@@ -0,0 +1,75 @@
+// Canvas drawing for the 2D site plans: the minimap and the analytics
+// heatmap. `layout` comes from createMinimapLayout in game/minimap.js.
+import { ROBOT_RADIUS } from '../../levels/collision';
+import { parseCellKey } from '../../levels/levelRules';
+import { headingVector } from '../../game/kinematics';
+import { BLOCKED_COLOR, OPEN_COLOR, ROBOT_COLOR } from '../../game/minimap';
+
+// LavoBot is drawn at least this big so it stays visible on a large site
+const MIN_ROBOT_PIXELS = 3;
+
+// Sizes the canvas for `layout`, sharp on high-density screens unless told
+// otherwise, and returns a context that draws in CSS pixels
+export const prepareMapCanvas = (canvas, layout, ratio = window.devicePixelRatio || 1) => {
+  const context = canvas.getContext('2d');
+  if (!context) return null;
+  canvas.width = layout.width * ratio;
+  canvas.height = layout.height * ratio;
+  context.scale(ratio, ratio);
+  return context;
+};
+
+// Clears the plan to open ground, then paints each cell of `values` (a map of
+// cell key to whatever `getColor` takes) as the square centred on it
+export const drawCells = (context, layout, values, getColor) => {
+  context.fillStyle = OPEN_COLOR;
+  context.fillRect(0, 0, layout.width, layout.height);
+  values.forEach((value, key) => {
+    const { x, z } = parseCellKey(key);
+    const corner = layout.toMap(x - 0.5, z - 0.5);
+    context.fillStyle = getColor(value);
+    context.fillRect(corner.x, corner.y, layout.scale, layout.scale);
+  });
+};
+
+// What LavoBot can bump into (see getColliders in levels/collision.js)
+export const drawColliders = (context, layout, colliders) => {
+  context.fillStyle = BLOCKED_COLOR;
+  colliders.forEach((collider) => {
+    const { x, y } = layout.toMap(collider.x, collider.z);
+    context.beginPath();
+    if (collider.shape === 'cylinder') {
+      context.arc(x, y, collider.radius * layout.scale, 0, Math.PI * 2);
+    } else {
+      // Props turn by degrees about +Y, anticlockwise seen from above with north up
+      context.save();
+      context.translate(x, y);
+      context.rotate(-(collider.rotation || 0) * Math.PI / 180);
+      context.rect(
+        -collider.halfWidth * layout.scale,
+        -collider.halfDepth * layout.scale,
+        collider.halfWidth * 2 * layout.scale,
+        collider.halfDepth * 2 * layout.scale
+      );
+      context.restore();
+    }
+    context.fill();
+  });
+};
+
+// LavoBot as a dot with a line the way it faces
+export const drawRobot = (context, layout, pose) => {
+  const { x, y } = layout.toMap(pose.x, pose.z);
+  const radius = Math.max(MIN_ROBOT_PIXELS, ROBOT_RADIUS * layout.scale);
+  const facing = headingVector(pose.heading);
+  context.fillStyle = ROBOT_COLOR;
+  context.strokeStyle = ROBOT_COLOR;
+  context.lineWidth = 2;
+  context.beginPath();
+  context.arc(x, y, radius, 0, Math.PI * 2);
+  context.fill();
+  context.beginPath();
+  context.moveTo(x, y);
+  context.lineTo(x + facing.x * radius * 2.5, y + facing.z * radius * 2.5);
+  context.stroke();
+};
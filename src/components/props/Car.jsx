@@ -0,0 +1,151 @@
+import React from 'react';
+import * as THREE from 'three';
+
+// Geometry is sized for a 1.5 x 3 footprint
+const SHARED_GEOMETRIES = {
+  chassis: new THREE.BoxGeometry(1.5, 0.3, 3),
+  body: new THREE.BoxGeometry(1.4, 0.4, 1.8),
+  hood: new THREE.BoxGeometry(1.3, 0.15, 0.7),
+  trunk: new THREE.BoxGeometry(1.3, 0.15, 0.4),
+  roof: new THREE.BoxGeometry(1.2, 0.35, 1),
+  windshield: new THREE.BoxGeometry(1.1, 0.3, 0.05),
+  backWindow: new THREE.BoxGeometry(1.1, 0.3, 0.05),
+  sideWindow: new THREE.BoxGeometry(0.05, 0.2, 0.8),
+  wheel: new THREE.CylinderGeometry(0.15, 0.15, 0.1, 16),
+  hubcap: new THREE.CylinderGeometry(0.1, 0.1, 0.02, 8),
+  headlight: new THREE.BoxGeometry(0.2, 0.1, 0.05),
+  taillight: new THREE.BoxGeometry(0.2, 0.1, 0.05),
+  grille: new THREE.BoxGeometry(0.7, 0.15, 0.05),
+  bumper: new THREE.BoxGeometry(1.4, 0.1, 0.15)
+};
+
+const SHARED_MATERIALS = {
+  body: new THREE.MeshStandardMaterial({ 
+    color: '#2E5894',
+    roughness: 0.2,
+    metalness: 0.8
+  }),
+  windows: new THREE.MeshStandardMaterial({ 
+    color: '#1a1a1a',
+    roughness: 0.1,
+    metalness: 0.9,
+    opacity: 0.7,
+    transparent: true
+  }),
+  wheels: new THREE.MeshStandardMaterial({ 
+    color: '#1a1a1a',
+    roughness: 0.8,
+    metalness: 0.2
+  }),
+  chrome: new THREE.MeshStandardMaterial({
+    color: '#CCCCCC',
+    roughness: 0.1,
+    metalness: 0.9
+  }),
+  lights: {
+    head: new THREE.MeshStandardMaterial({
+      color: '#FFFFFF',
+      emissive: '#FFFFFF',
+      emissiveIntensity: 0.5
+    }),
+    tail: new THREE.MeshStandardMaterial({
+      color: '#FF0000',
+      emissive: '#FF0000',
+      emissiveIntensity: 0.5
+    })
+  }
+};
+
+export default function Car({ position }) {
+  return (
+    <group position={[position[0], 0.2, position[1]]}>
+      {/* Chassis */}
+      <mesh position={[0, 0.15, 0]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.chassis} />
+        <primitive object={SHARED_MATERIALS.body} />
+      </mesh>
+      
+      {/* Main Body */}
+      <mesh position={[0, 0.5, -0.2]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.body} />
+        <primitive object={SHARED_MATERIALS.body} />
+      </mesh>
+      
+      {/* Hood */}
+      <mesh position={[0, 0.45, -1]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.hood} />
+        <primitive object={SHARED_MATERIALS.body} />
+      </mesh>
+      
+      {/* Trunk */}
+      <mesh position={[0, 0.45, 1]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.trunk} />
+        <primitive object={SHARED_MATERIALS.body} />
+      </mesh>
+      
+      {/* Roof */}
+      <mesh position={[0, 0.7, -0.2]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.roof} />
+        <primitive object={SHARED_MATERIALS.body} />
+      </mesh>
+      
+      {/* Windows */}
+      <mesh position={[0, 0.65, -0.7]} rotation-x={Math.PI * 0.2} castShadow>
+        <primitive object={SHARED_GEOMETRIES.windshield} />
+        <primitive object={SHARED_MATERIALS.windows} />
+      </mesh>
+      <mesh position={[0, 0.65, 0.3]} rotation-x={-Math.PI * 0.2} castShadow>
+        <primitive object={SHARED_GEOMETRIES.backWindow} />
+        <primitive object={SHARED_MATERIALS.windows} />
+      </mesh>
+      {[-0.7, 0.7].map((x, i) => (
+        <mesh key={`side-window-${i}`} position={[x, 0.6, -0.2]} castShadow>
+          <primitive object={SHARED_GEOMETRIES.sideWindow} />
+          <primitive object={SHARED_MATERIALS.windows} />
+        </mesh>
+      ))}
+      
+      {/* Wheels with Chrome Hubcaps */}
+      {[[-0.6, -0.25, -0.8], [0.6, -0.25, -0.8], [-0.6, -0.25, 0.8], [0.6, -0.25, 0.8]].map(([x, y, z], i) => (
+        <group key={`wheel-${i}`}>
+          <mesh position={[x, y, z]} rotation-z={Math.PI / 2} castShadow>
+            <primitive object={SHARED_GEOMETRIES.wheel} />
+            <primitive object={SHARED_MATERIALS.wheels} />
+          </mesh>
+          <mesh position={[x, y - 0.06, z]} rotation-z={Math.PI / 2} castShadow>
+            <primitive object={SHARED_GEOMETRIES.hubcap} />
+            <primitive object={SHARED_MATERIALS.chrome} />
+          </mesh>
+        </group>
+      ))}
+      
+      {/* Front Details */}
+      <mesh position={[0, 0.35, -1.3]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.grille} />
+        <primitive object={SHARED_MATERIALS.chrome} />
+      </mesh>
+      {[-0.5, 0.5].map((x, i) => (
+        <mesh key={`headlight-${i}`} position={[x, 0.4, -1.3]} castShadow>
+          <primitive object={SHARED_GEOMETRIES.headlight} />
+          <primitive object={SHARED_MATERIALS.lights.head} />
+        </mesh>
+      ))}
+      <mesh position={[0, 0.3, -1.3]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.bumper} />
+        <primitive object={SHARED_MATERIALS.chrome} />
+      </mesh>
+      
+      {/* Rear Details */}
+      {[-0.5, 0.5].map((x, i) => (
+        <mesh key={`taillight-${i}`} position={[x, 0.4, 1.3]} castShadow>
+          <primitive object={SHARED_GEOMETRIES.taillight} />
+          <primitive object={SHARED_MATERIALS.lights.tail} />
+        </mesh>
+      ))}
+      <mesh position={[0, 0.3, 1.3]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.bumper} />
+        <primitive object={SHARED_MATERIALS.chrome} />
+      </mesh>
+    </group>
+  );
+}
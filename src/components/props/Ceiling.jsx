@@ -0,0 +1,20 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+
+const SHARED_MATERIALS = {
+  ceiling: new THREE.MeshStandardMaterial({
+    color: '#404040',
+    roughness: 0.8,
+    metalness: 0.2
+  })
+};
+
+export default function Ceiling({ height, size }) {
+  const geometry = useMemo(() => new THREE.PlaneGeometry(size[0], size[1]), [size[0], size[1]]);
+  return (
+    <mesh position={[0, height, 0]} rotation-x={Math.PI / 2} receiveShadow frustumCulled>
+      <primitive object={geometry} />
+      <primitive object={SHARED_MATERIALS.ceiling} />
+    </mesh>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+import * as THREE from 'three';
+
+const SHARED_GEOMETRIES = {
+  base: new THREE.BoxGeometry(1.2, 0.05, 1.2),
+  post: new THREE.BoxGeometry(1.2, 0.6, 0.15),
+  light: new THREE.SphereGeometry(0.08, 12, 12)
+};
+
+const SHARED_MATERIALS = {
+  base: new THREE.MeshStandardMaterial({ color: '#37474f', roughness: 0.6, metalness: 0.3 }),
+  post: new THREE.MeshStandardMaterial({ color: '#263238', roughness: 0.5, metalness: 0.4 }),
+  idle: new THREE.MeshStandardMaterial({ color: '#4fc3f7', emissive: '#4fc3f7', emissiveIntensity: 0.6 }),
+  charging: new THREE.MeshStandardMaterial({ color: '#81c784', emissive: '#81c784', emissiveIntensity: 1 })
+};
+
+// Charging pad LavoBot drives onto; the back post faces -Z
+export default function ChargingDock({ position, charging = false }) {
+  return (
+    <group position={[position[0], 0, position[1]]}>
+      <mesh position={[0, 0.025, 0]} receiveShadow>
+        <primitive object={SHARED_GEOMETRIES.base} />
+        <primitive object={SHARED_MATERIALS.base} />
+      </mesh>
+      <mesh position={[0, 0.3, -0.55]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.post} />
+        <primitive object={SHARED_MATERIALS.post} />
+      </mesh>
+      <mesh position={[0, 0.5, -0.45]}>
+        <primitive object={SHARED_GEOMETRIES.light} />
+        <primitive object={charging ? SHARED_MATERIALS.charging : SHARED_MATERIALS.idle} />
+      </mesh>
+    </group>
+  );
+}
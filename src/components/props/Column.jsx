@@ -0,0 +1,29 @@
+import React from 'react';
+import * as THREE from 'three';
+
+const COLUMN_HEIGHT = 4;
+
+const SHARED_GEOMETRIES = {
+  column: new THREE.CylinderGeometry(0.3, 0.3, COLUMN_HEIGHT, 8)
+};
+
+const SHARED_MATERIALS = {
+  column: new THREE.MeshStandardMaterial({
+    color: '#707070',
+    roughness: 0.8,
+    metalness: 0.2
+  })
+};
+
+export default function Column({ position }) {
+  return (
+    <mesh
+      position={[position[0], COLUMN_HEIGHT / 2, position[1]]}
+      castShadow
+      frustumCulled
+    >
+      <primitive object={SHARED_GEOMETRIES.column} />
+      <primitive object={SHARED_MATERIALS.column} />
+    </mesh>
+  );
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import * as THREE from 'three';
+
+const SHARED_GEOMETRIES = {
+  loungeChair: new THREE.BoxGeometry(2, 0.1, 4),
+  chairBase: new THREE.BoxGeometry(2, 0.2, 1)
+};
+
+const SHARED_MATERIALS = {
+  furniture: new THREE.MeshStandardMaterial({ color: '#ffffff' })
+};
+
+export default function LoungeChair({ position }) {
+  return (
+    <group position={[position[0], 0, position[1]]}>
+      <mesh position={[0, 0.2, 0]} rotation-x={-Math.PI / 6}>
+        <primitive object={SHARED_GEOMETRIES.loungeChair} />
+        <primitive object={SHARED_MATERIALS.furniture} />
+      </mesh>
+      <mesh position={[0, 0.1, 0.5]}>
+        <primitive object={SHARED_GEOMETRIES.chairBase} />
+        <primitive object={SHARED_MATERIALS.furniture} />
+      </mesh>
+    </group>
+  );
+}
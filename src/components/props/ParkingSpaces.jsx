@@ -0,0 +1,41 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+
+const SHARED_MATERIALS = {
+  parking: new THREE.MeshStandardMaterial({ color: '#404040' }),
+  parkingLine: new THREE.MeshStandardMaterial({ color: '#ffffff' })
+};
+
+// Grid of painted bays centred on `position`
+export default function ParkingSpaces({ position, rows, columns, spacing, size }) {
+  const [width, length] = size;
+  const geometries = useMemo(() => ({
+    space: new THREE.PlaneGeometry(width, length),
+    line: new THREE.PlaneGeometry(0.1, length)
+  }), [width, length]);
+
+  const spaces = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const x = position[0] + (col - (columns - 1) / 2) * spacing[0];
+      const z = position[1] + (row - (rows - 1) / 2) * spacing[1];
+      spaces.push(
+        <group key={`parking-${row}-${col}`}>
+          <mesh position={[x, 0, z]} rotation-x={-Math.PI / 2} receiveShadow>
+            <primitive object={geometries.space} />
+            <primitive object={SHARED_MATERIALS.parking} />
+          </mesh>
+          <mesh position={[x - width / 2 + 0.1, 0.01, z]} rotation-x={-Math.PI / 2} receiveShadow>
+            <primitive object={geometries.line} />
+            <primitive object={SHARED_MATERIALS.parkingLine} />
+          </mesh>
+          <mesh position={[x + width / 2 - 0.1, 0.01, z]} rotation-x={-Math.PI / 2} receiveShadow>
+            <primitive object={geometries.line} />
+            <primitive object={SHARED_MATERIALS.parkingLine} />
+          </mesh>
+        </group>
+      );
+    }
+  }
+  return <>{spaces}</>;
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import * as THREE from 'three';
+
+const SHARED_GEOMETRIES = {
+  planter: new THREE.BoxGeometry(3, 1, 3),
+  plant: new THREE.SphereGeometry(0.4, 8, 8)
+};
+
+const SHARED_MATERIALS = {
+  planter: new THREE.MeshStandardMaterial({ color: '#8d6e63' }),
+  plant: new THREE.MeshStandardMaterial({ color: '#2e7d32' })
+};
+
+export default function Planter({ position }) {
+  return (
+    <group position={[position[0], 0, position[1]]}>
+      <mesh position={[0, 0.5, 0]} castShadow>
+        <primitive object={SHARED_GEOMETRIES.planter} />
+        <primitive object={SHARED_MATERIALS.planter} />
+      </mesh>
+      <group position={[0, 1, 0]}>
+        {Array.from({ length: 5 }, (_, j) => {
+          const angle = (j * Math.PI * 0.4);
+          return (
+            <mesh key={j} position={[
+              Math.sin(angle) * 0.5,
+              0.3,
+              Math.cos(angle) * 0.5
+            ]} castShadow>
+              <primitive object={SHARED_GEOMETRIES.plant} />
+              <primitive object={SHARED_MATERIALS.plant} />
+            </mesh>
+          );
+        })}
+      </group>
+    </group>
+  );
+}
@@ -0,0 +1,35 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+
+const WATER_HEIGHT = 0.1;
+const EDGE_HEIGHT = 0.15;
+
+const SHARED_MATERIALS = {
+  water: new THREE.MeshStandardMaterial({
+    color: '#4fc3f7',
+    transparent: true,
+    opacity: 0.8
+  }),
+  edge: new THREE.MeshStandardMaterial({ color: '#e0e0e0' })
+};
+
+export default function Pool({ position, size }) {
+  const [width, depth] = size;
+  const geometries = useMemo(() => ({
+    water: new THREE.PlaneGeometry(width, depth),
+    edge: new THREE.RingGeometry(width / 2 + 0.1, width / 2 + 0.5, 32)
+  }), [width, depth]);
+
+  return (
+    <group position={[position[0], 0, position[1]]}>
+      <mesh position={[0, WATER_HEIGHT, 0]} rotation-x={-Math.PI / 2}>
+        <primitive object={geometries.water} />
+        <primitive object={SHARED_MATERIALS.water} />
+      </mesh>
+      <mesh position={[0, EDGE_HEIGHT, 0]} rotation-x={-Math.PI / 2}>
+        <primitive object={geometries.edge} />
+        <primitive object={SHARED_MATERIALS.edge} />
+      </mesh>
+    </group>
+  );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import * as THREE from 'three';
+
+const SHARED_GEOMETRIES = {
+  pad: new THREE.CircleGeometry(0.6, 24),
+  pipe: new THREE.CylinderGeometry(0.06, 0.06, 0.8, 8),
+  tap: new THREE.BoxGeometry(0.2, 0.08, 0.08),
+  handle: new THREE.CylinderGeometry(0.1, 0.1, 0.03, 12),
+  sink: new THREE.BoxGeometry(1, 0.6, 0.6),
+  basin: new THREE.BoxGeometry(0.8, 0.05, 0.4)
+};
+
+const SHARED_MATERIALS = {
+  pad: new THREE.MeshStandardMaterial({ color: '#0277bd', transparent: true, opacity: 0.35 }),
+  brass: new THREE.MeshStandardMaterial({ color: '#c9a227', roughness: 0.3, metalness: 0.8 }),
+  handle: new THREE.MeshStandardMaterial({ color: '#d32f2f' }),
+  sink: new THREE.MeshStandardMaterial({ color: '#eceff1', roughness: 0.4, metalness: 0.1 }),
+  water: new THREE.MeshStandardMaterial({ color: '#4fc3f7', emissive: '#4fc3f7', emissiveIntensity: 0.4 })
+};
+
+// Hose bib or utility sink, with a blue pad marking where LavoBot parks to refill
+export default function RefillStation({ position, kind = 'hoseBib', active = false }) {
+  return (
+    <group position={[position[0], 0, position[1]]}>
+      <mesh position={[0, 0.03, 0]} rotation-x={-Math.PI / 2}>
+        <primitive object={SHARED_GEOMETRIES.pad} />
+        <primitive object={active ? SHARED_MATERIALS.water : SHARED_MATERIALS.pad} />
+      </mesh>
+      {kind === 'utilitySink' ? (
+        <group position={[0, 0, -0.9]}>
+          <mesh position={[0, 0.3, 0]} castShadow>
+            <primitive object={SHARED_GEOMETRIES.sink} />
+            <primitive object={SHARED_MATERIALS.sink} />
+          </mesh>
+          <mesh position={[0, 0.6, 0]}>
+            <primitive object={SHARED_GEOMETRIES.basin} />
+            <primitive object={SHARED_MATERIALS.water} />
+          </mesh>
+        </group>
+      ) : (
+        <group position={[0, 0, -0.7]}>
+          <mesh position={[0, 0.4, 0]} castShadow>
+            <primitive object={SHARED_GEOMETRIES.pipe} />
+            <primitive object={SHARED_MATERIALS.brass} />
+          </mesh>
+          <mesh position={[0, 0.7, 0.1]}>
+            <primitive object={SHARED_GEOMETRIES.tap} />
+            <primitive object={SHARED_MATERIALS.brass} />
+          </mesh>
+          <mesh position={[0, 0.82, 0]}>
+            <primitive object={SHARED_GEOMETRIES.handle} />
+            <primitive object={SHARED_MATERIALS.handle} />
+          </mesh>
+        </group>
+      )}
+    </group>
+  );
+}
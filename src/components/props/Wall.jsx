@@ -0,0 +1,28 @@
+import React from 'react';
+import * as THREE from 'three';
+
+const SHARED_MATERIALS = {
+  wall: new THREE.MeshStandardMaterial({
+    color: '#606060',
+    roughness: 0.7,
+    metalness: 0.1
+  })
+};
+
+// `size` is [length, height, thickness]; `rotation` is in degrees around Y
+export default function Wall({ position, size, rotation = 0, material }) {
+  const [length, height, thickness] = size;
+  return (
+    <mesh
+      position={[position[0], height / 2, position[1]]}
+      rotation-y={THREE.MathUtils.degToRad(rotation)}
+      castShadow
+      frustumCulled
+    >
+      <boxGeometry args={[length, height, thickness]} />
+      {material
+        ? <meshStandardMaterial {...material} />
+        : <primitive object={SHARED_MATERIALS.wall} />}
+    </mesh>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import ParkingSpaces from './ParkingSpaces';
+import Pool from './Pool';
+import LoungeChair from './LoungeChair';
+import Planter from './Planter';
+import Column from './Column';
+import Car from './Car';
+import Wall from './Wall';
+import Ceiling from './Ceiling';
+
+// Maps the `type` of a level obstacle or prop to the component that draws it
+export const PROP_COMPONENTS = {
+  parkingSpaces: ParkingSpaces,
+  pool: Pool,
+  loungeChair: LoungeChair,
+  planter: Planter,
+  column: Column,
+  car: Car,
+  wall: Wall,
+  ceiling: Ceiling
+};
+
+export function LevelObjects({ objects, prefix }) {
+  return objects.map((object, i) => {
+    const Component = PROP_COMPONENTS[object.type];
+    if (!Component) {
+      console.warn(`Unknown level object type "${object.type}"`);
+      return null;
+    }
+    const { type, ...props } = object;
+    return <Component key={`${prefix}-${type}-${i}`} {...props} />;
+  });
+}
@@ -0,0 +1,120 @@
+// Keyboard bindings: which keys trigger which control action. Keys are
+// KeyboardEvent.key values, with letters lower-cased so Shift and Caps Lock
+// make no difference. Each action takes up to two keys.
+
+export const MAX_KEYS_PER_ACTION = 2;
+
+// In the order the settings panel lists them
+export const CONTROL_ACTIONS = [
+  { id: 'moveUp', label: 'Move up' },
+  { id: 'moveDown', label: 'Move down' },
+  { id: 'moveLeft', label: 'Move left' },
+  { id: 'moveRight', label: 'Move right' },
+  { id: 'cycleCamera', label: 'Next camera' },
+  { id: 'pause', label: 'Pause' },
+  { id: 'previousScene', label: 'Previous scene' },
+  { id: 'nextScene', label: 'Next scene' }
+];
+
+export const DEFAULT_BINDINGS = {
+  moveUp: ['ArrowUp', 'w'],
+  moveDown: ['ArrowDown', 's'],
+  moveLeft: ['ArrowLeft', 'a'],
+  moveRight: ['ArrowRight', 'd'],
+  cycleCamera: ['v'],
+  pause: ['p'],
+  previousScene: ['['],
+  nextScene: [']']
+};
+
+// Movement actions are held; the rest fire once per press
+export const MOVE_ACTIONS = ['moveUp', 'moveDown', 'moveLeft', 'moveRight'];
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ' ': 'Space',
+  Escape: 'Esc'
+};
+
+// Modifier keys only ever qualify another key, so they cannot be bound alone
+const UNBINDABLE_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Tab', 'Dead', 'Unidentified'];
+
+export const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+
+export const isBindableKey = (key) => Boolean(key) && !UNBINDABLE_KEYS.includes(key);
+
+export const describeKey = (key) => KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+
+export const getActionLabel = (actionId) => {
+  const action = CONTROL_ACTIONS.find(({ id }) => id === actionId);
+  return action ? action.label : actionId;
+};
+
+// key -> action, for looking up presses
+export const createKeyMap = (bindings) => {
+  const keyMap = new Map();
+  CONTROL_ACTIONS.forEach(({ id }) => {
+    (bindings[id] || []).forEach(key => keyMap.set(key, id));
+  });
+  return keyMap;
+};
+
+// Every key bound to more than one action: [{ key, actions }]
+export const findConflicts = (bindings) => {
+  const actionsByKey = new Map();
+  CONTROL_ACTIONS.forEach(({ id }) => {
+    (bindings[id] || []).forEach((key) => {
+      actionsByKey.set(key, [...(actionsByKey.get(key) || []), id]);
+    });
+  });
+  return Array.from(actionsByKey, ([key, actions]) => ({ key, actions }))
+    .filter(({ actions }) => actions.length > 1);
+};
+
+// The other action already using `key`, if any
+export const getConflict = (bindings, actionId, key) => {
+  const owner = createKeyMap(bindings).get(key);
+  return owner && owner !== actionId ? owner : null;
+};
+
+// Puts `key` in the action's `slot`. Refuses (returns null) when another
+// action already uses the key, so the caller can say which one.
+export const rebindKey = (bindings, actionId, slot, key) => {
+  const normalized = normalizeKey(key);
+  if (!isBindableKey(normalized) || getConflict(bindings, actionId, normalized)) return null;
+  const keys = (bindings[actionId] || []).filter(bound => bound !== normalized);
+  if (slot < keys.length) {
+    keys[slot] = normalized;
+  } else {
+    keys.push(normalized);
+  }
+  return { ...bindings, [actionId]: keys.slice(0, MAX_KEYS_PER_ACTION) };
+};
+
+export const clearKey = (bindings, actionId, slot) => ({
+  ...bindings,
+  [actionId]: (bindings[actionId] || []).filter((key, index) => index !== slot)
+});
+
+// Fills in actions a saved set predates and rejects anything malformed or
+// conflicting, falling back to the defaults
+export const sanitizeBindings = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_BINDINGS;
+  const bindings = {};
+  CONTROL_ACTIONS.forEach(({ id }) => {
+    const keys = saved[id];
+    const valid = Array.isArray(keys) && keys.length <= MAX_KEYS_PER_ACTION &&
+      keys.every(key => typeof key === 'string' && isBindableKey(key));
+    bindings[id] = valid ? keys.map(normalizeKey) : DEFAULT_BINDINGS[id];
+  });
+  return findConflicts(bindings).length > 0 ? DEFAULT_BINDINGS : bindings;
+};
+
+// Movement vector from the movement actions being held; opposite directions cancel
+export const getHeldMovement = (heldActions) => ({
+  x: (heldActions.has('moveRight') ? 1 : 0) - (heldActions.has('moveLeft') ? 1 : 0),
+  z: (heldActions.has('moveDown') ? 1 : 0) - (heldActions.has('moveUp') ? 1 : 0)
+});
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_BINDINGS,
+  clearKey,
+  createKeyMap,
+  describeKey,
+  findConflicts,
+  getConflict,
+  getHeldMovement,
+  normalizeKey,
+  rebindKey,
+  sanitizeBindings
+} from './bindings';
+
+describe('default bindings', () => {
+  it('drive on both the arrows and WASD', () => {
+    const keyMap = createKeyMap(DEFAULT_BINDINGS);
+    expect(keyMap.get('ArrowUp')).toBe('moveUp');
+    expect(keyMap.get('w')).toBe('moveUp');
+    expect(keyMap.get('a')).toBe('moveLeft');
+    expect(keyMap.get('s')).toBe('moveDown');
+    expect(keyMap.get('d')).toBe('moveRight');
+    expect(keyMap.get('v')).toBe('cycleCamera');
+  });
+
+  it('have no conflicts', () => {
+    expect(findConflicts(DEFAULT_BINDINGS)).toEqual([]);
+  });
+});
+
+describe('keys', () => {
+  it('ignore Shift and Caps Lock on letters', () => {
+    expect(normalizeKey('W')).toBe('w');
+    expect(normalizeKey('ArrowLeft')).toBe('ArrowLeft');
+  });
+
+  it('are described for people', () => {
+    expect(describeKey('w')).toBe('W');
+    expect(describeKey('ArrowUp')).toBe('↑');
+    expect(describeKey(' ')).toBe('Space');
+    expect(describeKey('Enter')).toBe('Enter');
+  });
+});
+
+describe('rebindKey', () => {
+  it('replaces the key in a slot', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'cycleCamera', 0, 'c');
+    expect(bindings.cycleCamera).toEqual(['c']);
+    expect(DEFAULT_BINDINGS.cycleCamera).toEqual(['v']);
+  });
+
+  it('fills an empty second slot', () => {
+    expect(rebindKey(DEFAULT_BINDINGS, 'pause', 1, 'Escape').pause).toEqual(['p', 'Escape']);
+  });
+
+  it('refuses a key another action uses', () => {
+    expect(getConflict(DEFAULT_BINDINGS, 'pause', 'w')).toBe('moveUp');
+    expect(rebindKey(DEFAULT_BINDINGS, 'pause', 0, 'W')).toBeNull();
+  });
+
+  it('moves a key between its own slots', () => {
+    expect(rebindKey(DEFAULT_BINDINGS, 'moveUp', 1, 'ArrowUp').moveUp).toEqual(['w', 'ArrowUp']);
+  });
+
+  it('refuses modifier keys', () => {
+    expect(rebindKey(DEFAULT_BINDINGS, 'pause', 0, 'Shift')).toBeNull();
+  });
+
+  it('frees a key once cleared', () => {
+    const cleared = clearKey(DEFAULT_BINDINGS, 'moveUp', 1);
+    expect(cleared.moveUp).toEqual(['ArrowUp']);
+    expect(rebindKey(cleared, 'pause', 1, 'w').pause).toEqual(['p', 'w']);
+  });
+});
+
+describe('findConflicts', () => {
+  it('lists every action sharing a key', () => {
+    const bindings = { ...DEFAULT_BINDINGS, pause: ['w'] };
+    expect(findConflicts(bindings)).toEqual([{ key: 'w', actions: ['moveUp', 'pause'] }]);
+  });
+});
+
+describe('sanitizeBindings', () => {
+  it('keeps a valid saved set', () => {
+    const saved = { ...DEFAULT_BINDINGS, cycleCamera: ['c'] };
+    expect(sanitizeBindings(saved)).toEqual(saved);
+  });
+
+  it('fills in actions the saved set predates', () => {
+    const { nextScene, ...older } = DEFAULT_BINDINGS;
+    expect(sanitizeBindings(older).nextScene).toEqual(nextScene);
+  });
+
+  it('falls back to the defaults for junk or conflicts', () => {
+    expect(sanitizeBindings(null)).toBe(DEFAULT_BINDINGS);
+    expect(sanitizeBindings('keys')).toBe(DEFAULT_BINDINGS);
+    expect(sanitizeBindings({ ...DEFAULT_BINDINGS, pause: ['w'] })).toBe(DEFAULT_BINDINGS);
+    expect(sanitizeBindings({ ...DEFAULT_BINDINGS, pause: [42] }).pause).toEqual(['p']);
+  });
+});
+
+describe('getHeldMovement', () => {
+  it('combines held directions and cancels opposites', () => {
+    expect(getHeldMovement(new Set(['moveUp', 'moveLeft']))).toEqual({ x: -1, z: -1 });
+    expect(getHeldMovement(new Set(['moveUp', 'moveDown']))).toEqual({ x: 0, z: 0 });
+  });
+});
@@ -0,0 +1,64 @@
+// The player's control settings, kept in this browser
+import { DEFAULT_BINDINGS, sanitizeBindings } from './bindings';
+import { DEFAULT_TOUCH_SETTINGS, sanitizeTouchSettings } from './touch';
+import { getBrowserStorage } from '../browserStorage';
+
+export const BINDINGS_KEY = 'lavobot.controls.bindings';
+export const TOUCH_SETTINGS_KEY = 'lavobot.controls.touch';
+
+export const createControlsStore = (storage = getBrowserStorage()) => {
+  const readJson = (key) => {
+    try {
+      return JSON.parse(storage.getItem(key));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // A full or unavailable storage only means the settings last this visit
+  const writeJson = (key, value) => {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const removeItem = (key) => {
+    try {
+      storage.removeItem(key);
+    } catch (error) {
+      // The defaults still apply for this visit
+    }
+  };
+
+  return {
+    loadBindings() {
+      return sanitizeBindings(readJson(BINDINGS_KEY));
+    },
+
+    saveBindings(bindings) {
+      return writeJson(BINDINGS_KEY, bindings);
+    },
+
+    resetBindings() {
+      removeItem(BINDINGS_KEY);
+      return DEFAULT_BINDINGS;
+    },
+
+    // { deadZone, sensitivity } for the on-screen thumbstick
+    loadTouchSettings() {
+      return sanitizeTouchSettings(readJson(TOUCH_SETTINGS_KEY));
+    },
+
+    saveTouchSettings(settings) {
+      return writeJson(TOUCH_SETTINGS_KEY, settings);
+    },
+
+    resetTouchSettings() {
+      removeItem(TOUCH_SETTINGS_KEY);
+      return DEFAULT_TOUCH_SETTINGS;
+    }
+  };
+};
@@ -0,0 +1,79 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_BINDINGS } from './bindings';
+import { DEFAULT_TOUCH_SETTINGS } from './touch';
+import { BINDINGS_KEY, TOUCH_SETTINGS_KEY, createControlsStore } from './controlsStore';
+
+// Just enough of localStorage
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+};
+
+describe('createControlsStore', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('starts from the defaults', () => {
+    expect(createControlsStore(createMemoryStorage()).loadBindings()).toBe(DEFAULT_BINDINGS);
+  });
+
+  it('keeps saved bindings for the next visit', () => {
+    const storage = createMemoryStorage();
+    const bindings = { ...DEFAULT_BINDINGS, cycleCamera: ['c'] };
+    expect(createControlsStore(storage).saveBindings(bindings)).toBe(true);
+    expect(createControlsStore(storage).loadBindings()).toEqual(bindings);
+  });
+
+  it('ignores unreadable saves', () => {
+    const storage = createMemoryStorage();
+    storage.setItem(BINDINGS_KEY, '{not json');
+    expect(createControlsStore(storage).loadBindings()).toBe(DEFAULT_BINDINGS);
+  });
+
+  it('resets to the defaults', () => {
+    const storage = createMemoryStorage();
+    const store = createControlsStore(storage);
+    store.saveBindings({ ...DEFAULT_BINDINGS, pause: ['Escape'] });
+    expect(store.resetBindings()).toBe(DEFAULT_BINDINGS);
+    expect(store.loadBindings()).toBe(DEFAULT_BINDINGS);
+  });
+
+  it('reports a storage that will not take the save', () => {
+    const storage = { ...createMemoryStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(createControlsStore(storage).saveBindings(DEFAULT_BINDINGS)).toBe(false);
+  });
+
+  it('falls back to the defaults when the browser will not hand over localStorage', () => {
+    vi.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new DOMException('denied', 'SecurityError');
+    });
+    const store = createControlsStore();
+    expect(store.loadBindings()).toBe(DEFAULT_BINDINGS);
+    expect(store.saveBindings(DEFAULT_BINDINGS)).toBe(false);
+    expect(store.resetBindings()).toBe(DEFAULT_BINDINGS);
+    expect(store.loadTouchSettings()).toEqual(DEFAULT_TOUCH_SETTINGS);
+  });
+
+  it('still resets when the storage will not let go of the saved settings', () => {
+    const storage = { ...createMemoryStorage(), removeItem: () => { throw new Error('SecurityError'); } };
+    const store = createControlsStore(storage);
+    expect(store.resetBindings()).toBe(DEFAULT_BINDINGS);
+    expect(store.resetTouchSettings()).toBe(DEFAULT_TOUCH_SETTINGS);
+  });
+
+  it('keeps thumbstick settings, clamped to their ranges', () => {
+    const storage = createMemoryStorage();
+    const store = createControlsStore(storage);
+    expect(store.loadTouchSettings()).toEqual(DEFAULT_TOUCH_SETTINGS);
+    store.saveTouchSettings({ deadZone: 0.3, sensitivity: 1.4 });
+    expect(createControlsStore(storage).loadTouchSettings()).toEqual({ deadZone: 0.3, sensitivity: 1.4 });
+    storage.setItem(TOUCH_SETTINGS_KEY, JSON.stringify({ deadZone: 5 }));
+    expect(store.loadTouchSettings()).toEqual({ deadZone: 0.5, sensitivity: 1 });
+    expect(store.resetTouchSettings()).toBe(DEFAULT_TOUCH_SETTINGS);
+  });
+});
@@ -0,0 +1,48 @@
+// Reading a controller through the Gamepad API's standard layout, which
+// Xbox and PlayStation pads share. Pure so it can be fed recorded snapshots.
+import { NO_MOVEMENT, applyDeadZone, combineMovement } from './movement';
+
+// Share of the left stick's travel ignored around the middle
+export const STICK_DEAD_ZONE = 0.15;
+
+// Standard mapping button indices
+const BUTTON_Y = 3;
+const BUTTON_LB = 4;
+const BUTTON_RB = 5;
+const BUTTON_START = 9;
+const DPAD_UP = 12;
+const DPAD_DOWN = 13;
+const DPAD_LEFT = 14;
+const DPAD_RIGHT = 15;
+
+// Y / Triangle changes camera, Start / Options pauses and the shoulder buttons
+// step through the scene selector
+export const GAMEPAD_ACTIONS = {
+  [BUTTON_Y]: 'cycleCamera',
+  [BUTTON_START]: 'pause',
+  [BUTTON_LB]: 'previousScene',
+  [BUTTON_RB]: 'nextScene'
+};
+
+const isPressed = (gamepad, index) => Boolean(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+
+// The first pad that is plugged in, from navigator.getGamepads()
+export const findGamepad = (gamepads) =>
+  Array.from(gamepads || []).find(gamepad => gamepad && gamepad.connected) || null;
+
+// Left stick for analog driving; the D-pad drives flat out like the arrow keys
+export const readGamepadMovement = (gamepad) => {
+  if (!gamepad) return NO_MOVEMENT;
+  const [stickX = 0, stickY = 0] = gamepad.axes;
+  const stick = applyDeadZone(stickX, stickY, STICK_DEAD_ZONE);
+  const dpad = {
+    x: (isPressed(gamepad, DPAD_RIGHT) ? 1 : 0) - (isPressed(gamepad, DPAD_LEFT) ? 1 : 0),
+    z: (isPressed(gamepad, DPAD_DOWN) ? 1 : 0) - (isPressed(gamepad, DPAD_UP) ? 1 : 0)
+  };
+  return combineMovement(stick, dpad);
+};
+
+// Indices of the action buttons held right now
+export const getHeldActionButtons = (gamepad) => new Set(
+  gamepad ? Object.keys(GAMEPAD_ACTIONS).map(Number).filter(index => isPressed(gamepad, index)) : []
+);
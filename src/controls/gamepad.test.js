@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { NO_MOVEMENT } from './movement';
+import {
+  GAMEPAD_ACTIONS,
+  findGamepad,
+  getHeldActionButtons,
+  readGamepadMovement
+} from './gamepad';
+
+// A standard-mapping pad snapshot with the given buttons held
+const pad = ({ axes = [0, 0, 0, 0], held = [], connected = true } = {}) => ({
+  connected,
+  axes,
+  buttons: Array.from({ length: 17 }, (_, index) => ({ pressed: held.includes(index), value: 0 }))
+});
+
+describe('findGamepad', () => {
+  it('skips empty and disconnected slots', () => {
+    const connected = pad();
+    expect(findGamepad([null, pad({ connected: false }), connected])).toBe(connected);
+    expect(findGamepad([null, null])).toBeNull();
+    expect(findGamepad(undefined)).toBeNull();
+  });
+});
+
+describe('readGamepadMovement', () => {
+  it('reads the left stick as an analog vector', () => {
+    expect(readGamepadMovement(pad({ axes: [0, -1] }))).toEqual({ x: 0, z: -1 });
+    expect(readGamepadMovement(pad({ axes: [0.575, 0] }))).toEqual({ x: 0.5, z: 0 });
+  });
+
+  it('ignores stick drift and the right stick', () => {
+    expect(readGamepadMovement(pad({ axes: [0.08, 0.1, 1, 1] }))).toBe(NO_MOVEMENT);
+  });
+
+  it('drives flat out on the D-pad', () => {
+    expect(readGamepadMovement(pad({ held: [12] }))).toEqual({ x: 0, z: -1 });
+    expect(readGamepadMovement(pad({ held: [13, 15] }))).toEqual({ x: 1, z: 1 });
+  });
+
+  it('reads no movement without a pad', () => {
+    expect(readGamepadMovement(null)).toBe(NO_MOVEMENT);
+  });
+});
+
+describe('getHeldActionButtons', () => {
+  it('only reports buttons bound to an action', () => {
+    const held = getHeldActionButtons(pad({ held: [0, 3, 5, 12] }));
+    expect(Array.from(held, index => GAMEPAD_ACTIONS[index]).sort()).toEqual(['cycleCamera', 'nextScene']);
+  });
+
+  it('is empty without a pad', () => {
+    expect(getHeldActionButtons(null).size).toBe(0);
+  });
+});
@@ -0,0 +1,29 @@
+// Every input device drives LavoBot through the same analog movement vector:
+// x is right, z is toward the camera, each in -1..1. A half-pushed stick asks
+// for half speed; keys and D-pad buttons push all the way.
+
+export const NO_MOVEMENT = { x: 0, z: 0 };
+
+const clampAxis = (value) => Math.max(-1, Math.min(1, value));
+
+// Two decimals is finer than anyone can hold a stick, and keeps tiny wobbles
+// from counting as new input
+export const roundAxis = (value) => Math.round(value * 100) / 100 || 0;
+
+export const sameMovement = (a, b) => a.x === b.x && a.z === b.z;
+
+// Sum of every source held at once, e.g. a key and the stick
+export const combineMovement = (...sources) => {
+  const x = clampAxis(sources.reduce((sum, source) => sum + source.x, 0));
+  const z = clampAxis(sources.reduce((sum, source) => sum + source.z, 0));
+  return x === 0 && z === 0 ? NO_MOVEMENT : { x, z };
+};
+
+// Ignores a stick resting near the middle and rescales the rest so output
+// still ramps smoothly up from zero at the edge of the dead zone
+export const applyDeadZone = (x, z, deadZone) => {
+  const length = Math.hypot(x, z);
+  if (length <= deadZone) return NO_MOVEMENT;
+  const scale = Math.min(1, (length - deadZone) / (1 - deadZone)) / length;
+  return { x: roundAxis(x * scale), z: roundAxis(z * scale) };
+};
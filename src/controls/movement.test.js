@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { NO_MOVEMENT, applyDeadZone, combineMovement, sameMovement } from './movement';
+
+describe('combineMovement', () => {
+  it('adds sources and clamps each axis', () => {
+    expect(combineMovement({ x: 0.4, z: 0 }, { x: 0, z: -0.5 })).toEqual({ x: 0.4, z: -0.5 });
+    expect(combineMovement({ x: 1, z: -1 }, { x: 0.6, z: -0.3 })).toEqual({ x: 1, z: -1 });
+  });
+
+  it('keeps a full diagonal, as two held keys always gave', () => {
+    expect(combineMovement({ x: -1, z: 0 }, { x: 0, z: -1 })).toEqual({ x: -1, z: -1 });
+  });
+
+  it('cancels opposite sources out to no movement', () => {
+    expect(combineMovement({ x: 1, z: 0 }, { x: -1, z: 0 })).toBe(NO_MOVEMENT);
+    expect(combineMovement()).toBe(NO_MOVEMENT);
+  });
+});
+
+describe('applyDeadZone', () => {
+  it('ignores a stick resting inside the dead zone', () => {
+    expect(applyDeadZone(0.1, -0.05, 0.15)).toBe(NO_MOVEMENT);
+  });
+
+  it('ramps up from zero at the edge and reaches full at the rim', () => {
+    expect(applyDeadZone(0, -0.16, 0.15).z).toBeCloseTo(-0.01, 2);
+    expect(applyDeadZone(0, -1, 0.15)).toEqual({ x: 0, z: -1 });
+    expect(applyDeadZone(0.575, 0, 0.15)).toEqual({ x: 0.5, z: 0 });
+  });
+
+  it('keeps the direction of a diagonal', () => {
+    const { x, z } = applyDeadZone(0.5, 0.5, 0.15);
+    expect(x).toBe(z);
+    expect(Math.hypot(x, z)).toBeLessThanOrEqual(1);
+  });
+
+  it('caps a stick pushed past the unit circle', () => {
+    const { x, z } = applyDeadZone(1, 1, 0.15);
+    expect(Math.hypot(x, z)).toBeCloseTo(1, 2);
+  });
+});
+
+describe('sameMovement', () => {
+  it('compares by value', () => {
+    expect(sameMovement({ x: 0.5, z: 0 }, { x: 0.5, z: 0 })).toBe(true);
+    expect(sameMovement({ x: 0.5, z: 0 }, { x: 0.5, z: 0.01 })).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+// The on-screen thumbstick: how far the thumb has moved from where it landed
+// becomes the same analog movement vector a gamepad stick gives.
+import { NO_MOVEMENT, applyDeadZone, roundAxis } from './movement';
+
+// Pixels of thumb travel for a full push
+export const JOYSTICK_RADIUS = 50;
+
+// Dead zone is the share of travel ignored around the middle; sensitivity
+// scales the rest, so above 1 full speed comes before the rim
+export const DEFAULT_TOUCH_SETTINGS = { deadZone: 0.15, sensitivity: 1 };
+
+export const TOUCH_SETTING_RANGES = {
+  deadZone: { min: 0, max: 0.5, step: 0.05 },
+  sensitivity: { min: 0.5, max: 2, step: 0.1 }
+};
+
+// Movement for a thumb `dx`, `dy` pixels from where it landed (down the
+// screen drives toward the camera)
+export const getJoystickMovement = (dx, dy, settings = DEFAULT_TOUCH_SETTINGS) => {
+  const distance = Math.hypot(dx, dy);
+  if (distance === 0) return NO_MOVEMENT;
+  const reach = Math.min(1, distance / JOYSTICK_RADIUS);
+  const { x, z } = applyDeadZone((dx / distance) * reach, (dy / distance) * reach, settings.deadZone);
+  const length = Math.hypot(x, z);
+  if (length === 0) return NO_MOVEMENT;
+  const scale = Math.min(1, length * settings.sensitivity) / length;
+  return { x: roundAxis(x * scale), z: roundAxis(z * scale) };
+};
+
+// Where to draw the knob: the thumb's offset, held inside the base
+export const getKnobOffset = (dx, dy) => {
+  const distance = Math.hypot(dx, dy);
+  if (distance <= JOYSTICK_RADIUS) return { x: dx, y: dy };
+  const scale = JOYSTICK_RADIUS / distance;
+  return { x: dx * scale, y: dy * scale };
+};
+
+// Saved settings, clamped to their ranges; anything unreadable takes the default
+export const sanitizeTouchSettings = (saved) => {
+  const settings = {};
+  Object.entries(TOUCH_SETTING_RANGES).forEach(([name, { min, max }]) => {
+    const value = saved && saved[name];
+    settings[name] = Number.isFinite(value)
+      ? Math.max(min, Math.min(max, value))
+      : DEFAULT_TOUCH_SETTINGS[name];
+  });
+  return settings;
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { NO_MOVEMENT } from './movement';
+import {
+  DEFAULT_TOUCH_SETTINGS,
+  JOYSTICK_RADIUS,
+  getJoystickMovement,
+  getKnobOffset,
+  sanitizeTouchSettings
+} from './touch';
+
+describe('getJoystickMovement', () => {
+  it('drives flat out at the rim and beyond', () => {
+    expect(getJoystickMovement(0, -JOYSTICK_RADIUS)).toEqual({ x: 0, z: -1 });
+    expect(getJoystickMovement(JOYSTICK_RADIUS * 3, 0)).toEqual({ x: 1, z: 0 });
+  });
+
+  it('gives partial speed for a partial push', () => {
+    const { x, z } = getJoystickMovement(0, JOYSTICK_RADIUS * 0.575);
+    expect(x).toBe(0);
+    expect(z).toBeCloseTo(0.5, 2);
+  });
+
+  it('drives diagonally', () => {
+    const { x, z } = getJoystickMovement(-JOYSTICK_RADIUS, -JOYSTICK_RADIUS);
+    expect(x).toBeLessThan(0);
+    expect(x).toBe(z);
+    expect(Math.hypot(x, z)).toBeCloseTo(1, 2);
+  });
+
+  it('ignores a thumb resting inside the dead zone', () => {
+    expect(getJoystickMovement(0, 0)).toBe(NO_MOVEMENT);
+    expect(getJoystickMovement(JOYSTICK_RADIUS * 0.1, 0)).toBe(NO_MOVEMENT);
+    expect(getJoystickMovement(JOYSTICK_RADIUS * 0.3, 0, { deadZone: 0.4, sensitivity: 1 })).toBe(NO_MOVEMENT);
+    expect(getJoystickMovement(JOYSTICK_RADIUS * 0.1, 0, { deadZone: 0, sensitivity: 1 }).x).toBeCloseTo(0.1, 2);
+  });
+
+  it('reaches full speed sooner when more sensitive', () => {
+    const settings = { ...DEFAULT_TOUCH_SETTINGS, sensitivity: 2 };
+    expect(getJoystickMovement(0, -JOYSTICK_RADIUS * 0.6, settings)).toEqual({ x: 0, z: -1 });
+    const gentle = getJoystickMovement(0, -JOYSTICK_RADIUS * 0.6, { ...DEFAULT_TOUCH_SETTINGS, sensitivity: 0.5 });
+    expect(gentle.z).toBeGreaterThan(-0.5);
+  });
+});
+
+describe('getKnobOffset', () => {
+  it('follows the thumb inside the base and stops at its rim', () => {
+    expect(getKnobOffset(10, -20)).toEqual({ x: 10, y: -20 });
+    const { x, y } = getKnobOffset(JOYSTICK_RADIUS * 4, 0);
+    expect(x).toBe(JOYSTICK_RADIUS);
+    expect(y).toBe(0);
+  });
+});
+
+describe('sanitizeTouchSettings', () => {
+  it('uses the defaults for anything missing or unreadable', () => {
+    expect(sanitizeTouchSettings(null)).toEqual(DEFAULT_TOUCH_SETTINGS);
+    expect(sanitizeTouchSettings({ deadZone: 'x', sensitivity: 1.5 })).toEqual({ deadZone: 0.15, sensitivity: 1.5 });
+  });
+
+  it('clamps to the slider ranges', () => {
+    expect(sanitizeTouchSettings({ deadZone: 0.9, sensitivity: 0.1 })).toEqual({ deadZone: 0.5, sensitivity: 0.5 });
+  });
+});
@@ -0,0 +1,50 @@
+import { useEffect, useRef } from 'react';
+import { NO_MOVEMENT, sameMovement } from './movement';
+import { GAMEPAD_ACTIONS, findGamepad, getHeldActionButtons, readGamepadMovement } from './gamepad';
+
+// Polls the first connected controller once a frame. `onMove` gets the
+// movement vector whenever it changes (back to none when the pad goes away)
+// and `onAction` each action button as it goes down. Polling only runs while
+// a pad is connected.
+export default function useGamepad({ onMove, onAction }) {
+  const handlersRef = useRef(null);
+  handlersRef.current = { onMove, onAction };
+
+  useEffect(() => {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return undefined;
+
+    let frame = null;
+    let lastMovement = NO_MOVEMENT;
+    let held = new Set();
+
+    const poll = () => {
+      const gamepad = findGamepad(navigator.getGamepads());
+
+      const movement = readGamepadMovement(gamepad);
+      if (!sameMovement(movement, lastMovement)) {
+        lastMovement = movement;
+        handlersRef.current.onMove(movement);
+      }
+
+      const nowHeld = getHeldActionButtons(gamepad);
+      nowHeld.forEach((index) => {
+        if (!held.has(index)) handlersRef.current.onAction(GAMEPAD_ACTIONS[index]);
+      });
+      held = nowHeld;
+
+      frame = gamepad ? requestAnimationFrame(poll) : null;
+    };
+
+    // Browsers only expose a pad once it has been used, which is when this fires
+    const start = () => {
+      if (frame === null) frame = requestAnimationFrame(poll);
+    };
+
+    window.addEventListener('gamepadconnected', start);
+    start();
+    return () => {
+      window.removeEventListener('gamepadconnected', start);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+}
@@ -0,0 +1,10 @@
+// Saves a file the app made itself, e.g. a level, replay or report, by handing
+// the browser a link to it. Nothing leaves the machine.
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import useEditorHistory from './useEditorHistory';
+import { validateReachability } from './reachability';
+import { downloadLevel, readLevelFile } from './levelFiles';
+import {
+  OBSTACLE_PRESETS,
+  REFILL_STATION_KINDS,
+  SURFACE_PRESETS,
+  createBlankLevel,
+  eraseCell,
+  getObstacleCells,
+  paintCell,
+  placeObstacle,
+  placeRefillStation,
+  removeObjectsAt,
+  renameLevel,
+  resizeLevel,
+  setDock,
+  setSpawn,
+  toEditableLevel
+} from './levelEdits';
+import { cellKey, getSurfaceAt } from '../levels/levelRules';
+import { LEVELS } from '../levels';
+import { validateLevel } from '../levels/levelSchema';
+
+const CELL_PX = 12;
+
+const TOOLS = [
+  { id: 'paint', label: 'Paint' },
+  { id: 'erase', label: 'Erase' },
+  { id: 'obstacle', label: 'Obstacle' },
+  { id: 'remove', label: 'Remove' },
+  { id: 'spawn', label: 'Spawn' },
+  { id: 'dock', label: 'Dock' },
+  { id: 'refill', label: 'Refill' }
+];
+
+const panelStyle = {
+  position: 'absolute',
+  top: '20px',
+  left: '20px',
+  maxHeight: 'calc(100vh - 40px)',
+  overflow: 'auto',
+  background: 'rgba(0, 0, 0, 0.85)',
+  padding: '15px',
+  borderRadius: '15px',
+  color: 'white',
+  fontFamily: 'Arial, sans-serif',
+  fontSize: '13px',
+  boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)',
+  border: '2px solid rgba(255, 255, 255, 0.1)',
+  zIndex: 1500,
+  userSelect: 'none'
+};
+
+const buttonStyle = {
+  padding: '6px 10px',
+  background: '#2C3E50',
+  color: 'white',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const activeButtonStyle = { ...buttonStyle, background: '#4CAF50' };
+
+const inputStyle = {
+  background: '#1e272e',
+  color: 'white',
+  border: '1px solid #455a64',
+  borderRadius: '4px',
+  padding: '4px 6px',
+  fontSize: '12px'
+};
+
+const rowStyle = {
+  display: 'flex',
+  gap: '5px',
+  alignItems: 'center',
+  flexWrap: 'wrap',
+  marginBottom: '10px'
+};
+
+const surfaceColor = (surface) =>
+  (surface.material && surface.material.color) ||
+  (SURFACE_PRESETS[surface.type] && SURFACE_PRESETS[surface.type].color) ||
+  '#607d8b';
+
+export default function LevelEditor({ onPreviewChange, onExit }) {
+  const {
+    level, canUndo, canRedo, commit, beginStroke, stroke, undo, redo
+  } = useEditorHistory(createBlankLevel());
+  const [tool, setTool] = useState('paint');
+  const [surfaceType, setSurfaceType] = useState('driveway');
+  const [obstacleType, setObstacleType] = useState('planter');
+  const [stationKind, setStationKind] = useState('hoseBib');
+  const [loadError, setLoadError] = useState(null);
+  const isPainting = useRef(false);
+  const fileInputRef = useRef();
+
+  const { bounds } = level;
+  const obstacleCells = useMemo(() => getObstacleCells(level), [level]);
+  const reachability = useMemo(() => validateReachability(level), [level]);
+  const unreachable = useMemo(() => new Set(reachability.unreachable), [reachability]);
+  const schemaErrors = useMemo(() => validateLevel(level), [level]);
+  const isValid = schemaErrors.length === 0 && !reachability.spawnBlocked &&
+    !reachability.dockUnreachable && reachability.unreachable.length === 0;
+
+  // Keep the Canvas preview in sync with the draft
+  useEffect(() => {
+    onPreviewChange(level);
+  }, [level, onPreviewChange]);
+
+  // Undo / redo shortcuts
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // A brush stroke ends wherever the pointer is released
+  useEffect(() => {
+    const stopPainting = () => { isPainting.current = false; };
+    window.addEventListener('pointerup', stopPainting);
+    return () => window.removeEventListener('pointerup', stopPainting);
+  }, []);
+
+  const brushEdit = (x, z) => (tool === 'paint'
+    ? (draft) => paintCell(draft, x, z, surfaceType)
+    : (draft) => eraseCell(draft, x, z));
+
+  const handleCellDown = (x, z) => {
+    switch (tool) {
+      case 'paint':
+      case 'erase':
+        isPainting.current = true;
+        beginStroke();
+        stroke(brushEdit(x, z));
+        break;
+      case 'obstacle':
+        commit(draft => placeObstacle(draft, obstacleType, x, z));
+        break;
+      case 'remove':
+        commit(draft => removeObjectsAt(draft, x, z));
+        break;
+      case 'spawn':
+        commit(draft => setSpawn(draft, x, z));
+        break;
+      case 'dock':
+        commit(draft => setDock(draft, x, z));
+        break;
+      case 'refill':
+        commit(draft => placeRefillStation(draft, stationKind, x, z));
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleCellEnter = (x, z) => {
+    if (isPainting.current) {
+      stroke(brushEdit(x, z));
+    }
+  };
+
+  const handleBoundsChange = (key, value) => {
+    const next = { ...bounds, [key]: Math.round(Number(value)) };
+    if (Number.isNaN(next[key]) || next.minX >= next.maxX || next.minZ >= next.maxZ) return;
+    commit(draft => resizeLevel(draft, next));
+  };
+
+  const handleTemplateChange = (e) => {
+    const template = LEVELS.find(({ id }) => id === e.target.value);
+    const next = template ? toEditableLevel(template) : createBlankLevel();
+    commit(() => next);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const loaded = await readLevelFile(file);
+      setLoadError(null);
+      commit(() => toEditableLevel(loaded));
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  };
+
+  const stationCells = new Set(level.refillStations.map(({ position }) => cellKey(position[0], position[1])));
+  const cells = [];
+  for (let z = bounds.minZ; z <= bounds.maxZ; z++) {
+    for (let x = bounds.minX; x <= bounds.maxX; x++) {
+      const key = cellKey(x, z);
+      const surface = getSurfaceAt(level, x, z);
+      const isSpawn = cellKey(level.spawn[0], level.spawn[1]) === key;
+      const isDock = level.dock && cellKey(level.dock.position[0], level.dock.position[1]) === key;
+      let background = surface ? surfaceColor(surface) : '#263238';
+      if (obstacleCells.has(key)) background = '#8d6e63';
+      if (isDock) background = '#81c784';
+      if (stationCells.has(key)) background = '#0277bd';
+      if (isSpawn) background = '#4fc3f7';
+
+      cells.push(
+        <div
+          key={key}
+          title={`${x}, ${z}${surface ? ` (${surface.type})` : ''}`}
+          onPointerDown={() => handleCellDown(x, z)}
+          onPointerEnter={() => handleCellEnter(x, z)}
+          style={{
+            width: `${CELL_PX}px`,
+            height: `${CELL_PX}px`,
+            background,
+            boxShadow: unreachable.has(key) ? 'inset 0 0 0 2px #ff5252' : 'none',
+            cursor: 'crosshair'
+          }}
+        />
+      );
+    }
+  }
+
+  return (
+    <div style={panelStyle}>
+      <div style={{
+        fontSize: '18px',
+        fontWeight: 'bold',
+        color: '#4fc3f7',
+        marginBottom: '10px'
+      }}>
+        Level Editor
+      </div>
+
+      <div style={rowStyle}>
+        <input
+          style={{ ...inputStyle, flex: 1 }}
+          value={level.name}
+          onChange={(e) => commit(draft => renameLevel(draft, e.target.value))}
+          placeholder="Site name"
+        />
+        <select style={inputStyle} value="" onChange={handleTemplateChange}>
+          <option value="" disabled>Start from…</option>
+          <option value="blank">Blank site</option>
+          {LEVELS.map(({ id, name }) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={rowStyle}>
+        {['minX', 'maxX', 'minZ', 'maxZ'].map(key => (
+          <label key={key} style={{ display: 'flex', gap: '3px', alignItems: 'center' }}>
+            {key}
+            <input
+              type="number"
+              style={{ ...inputStyle, width: '48px' }}
+              value={bounds[key]}
+              onChange={(e) => handleBoundsChange(key, e.target.value)}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div style={rowStyle}>
+        {TOOLS.map(({ id, label }) => (
+          <button
+            key={id}
+            style={tool === id ? activeButtonStyle : buttonStyle}
+            onClick={() => setTool(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div style={rowStyle}>
+        {tool === 'paint' && (
+          <select style={inputStyle} value={surfaceType} onChange={(e) => setSurfaceType(e.target.value)}>
+            {Object.keys(SURFACE_PRESETS).map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        )}
+        {tool === 'refill' && (
+          <select style={inputStyle} value={stationKind} onChange={(e) => setStationKind(e.target.value)}>
+            {Object.entries(REFILL_STATION_KINDS).map(([kind, label]) => (
+              <option key={kind} value={kind}>{label}</option>
+            ))}
+          </select>
+        )}
+        {tool === 'obstacle' && (
+          <select style={inputStyle} value={obstacleType} onChange={(e) => setObstacleType(e.target.value)}>
+            {Object.entries(OBSTACLE_PRESETS).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        )}
+        <button style={buttonStyle} disabled={!canUndo} onClick={undo}>Undo</button>
+        <button style={buttonStyle} disabled={!canRedo} onClick={redo}>Redo</button>
+      </div>
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: `repeat(${bounds.maxX - bounds.minX + 1}, ${CELL_PX}px)`,
+          gap: '1px',
+          background: '#111',
+          padding: '1px',
+          marginBottom: '10px',
+          touchAction: 'none',
+          width: 'fit-content'
+        }}
+        onContextMenu={(e) => e.preventDefault()}
+      >
+        {cells}
+      </div>
+
+      <div style={{ marginBottom: '10px', color: isValid ? '#81c784' : '#ff8a65' }}>
+        {reachability.spawnBlocked && 'Spawn point is blocked or outside the bounds.'}
+        {!reachability.spawnBlocked && reachability.unreachable.length > 0 &&
+          `${reachability.unreachable.length} cleanable cells cannot be reached from the spawn.`}
+        {reachability.dockUnreachable && <div>The charging dock cannot be reached from the spawn.</div>}
+        {schemaErrors.map(error => <div key={error}>{error}</div>)}
+        {isValid && 'Every cleanable cell is reachable.'}
+      </div>
+
+      {loadError && (
+        <div style={{ marginBottom: '10px', color: '#ff8a65', whiteSpace: 'pre-wrap' }}>
+          {loadError}
+        </div>
+      )}
+
+      <div style={rowStyle}>
+        <button style={buttonStyle} onClick={() => fileInputRef.current.click()}>Load</button>
+        <button
+          style={isValid ? buttonStyle : { ...buttonStyle, opacity: 0.5, cursor: 'not-allowed' }}
+          disabled={!isValid}
+          onClick={() => downloadLevel(level)}
+        >
+          Save
+        </button>
+        <button style={buttonStyle} onClick={onExit}>Exit</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: 'none' }}
+          onChange={handleFileChange}
+        />
+      </div>
+    </div>
+  );
+}
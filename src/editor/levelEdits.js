@@ -0,0 +1,192 @@
+// Pure edit operations on a level draft. Every function returns a new level so
+// drafts can be kept in an undo history without copying defensively.
+import {
+  CELL_SIZE,
+  cellKey,
+  getObstacleFootprint,
+  getSurfaceAt,
+  isInObstacle
+} from '../levels/levelRules';
+import { withLevelDefaults } from '../levels/levelSchema';
+
+// Surface types designers can paint, with their default height, colour and
+// how much cleaning fluid a cell of it takes relative to a plain driveway
+export const SURFACE_PRESETS = {
+  parking: { height: 0, color: '#404040', dirtiness: 1.2 },
+  driveway: { height: 0.02, color: '#505050', dirtiness: 1 },
+  road: { height: 0.02, color: '#2c2c2c', dirtiness: 1.4 },
+  sidewalk: { height: 0.04, color: '#9e9e9e', dirtiness: 0.9 },
+  poolDeck: { height: 0.02, color: '#e0e0e0', dirtiness: 0.8 },
+  floor: { height: 0, color: '#505050', dirtiness: 1.3 }
+};
+
+export const REFILL_STATION_KINDS = {
+  hoseBib: 'Hose bib',
+  utilitySink: 'Utility sink'
+};
+
+// Obstacles designers can place, with the footprint the matching prop is drawn at
+export const OBSTACLE_PRESETS = {
+  planter: { label: 'Planter', size: [3, 3] },
+  loungeChair: { label: 'Lounge chair', size: [2, 4] },
+  column: { label: 'Column', size: [0.6, 0.6] },
+  car: { label: 'Parked car', size: [1.5, 3] }
+};
+
+const slugify = (name) =>
+  name.trim().replace(/[^a-zA-Z0-9]+(.)?/g, (_, next) => (next ? next.toUpperCase() : ''))
+    .replace(/^./, first => first.toLowerCase());
+
+const groundFor = (bounds, ground) => {
+  const span = Math.max(
+    Math.abs(bounds.minX), Math.abs(bounds.maxX),
+    Math.abs(bounds.minZ), Math.abs(bounds.maxZ)
+  );
+  const size = span * 2 + 10;
+  return { ...ground, size: [Math.max(size, ground.size[0]), Math.max(size, ground.size[1])] };
+};
+
+export const createBlankLevel = () => withLevelDefaults({
+  id: 'customSite',
+  name: 'Custom Site',
+  bounds: { minX: -10, maxX: 10, minZ: -10, maxZ: 10 },
+  spawn: [0, 0],
+  dock: { position: [0, 0] },
+  refillStations: [],
+  surfaces: [],
+  obstacles: [],
+  props: []
+});
+
+// Rect surfaces are expanded into painted cells so every cell can be edited
+export const toEditableLevel = (level) => {
+  const full = withLevelDefaults(level);
+  const { bounds } = full;
+  const byType = new Map();
+
+  for (let x = bounds.minX; x <= bounds.maxX; x += CELL_SIZE) {
+    for (let z = bounds.minZ; z <= bounds.maxZ; z += CELL_SIZE) {
+      const surface = getSurfaceAt(full, x, z);
+      if (!surface) continue;
+      if (!byType.has(surface.type)) {
+        const { rect, cells, ...rest } = surface;
+        byType.set(surface.type, { ...rest, cells: [] });
+      }
+      byType.get(surface.type).cells.push(cellKey(x, z));
+    }
+  }
+
+  return { ...full, surfaces: Array.from(byType.values()) };
+};
+
+const withoutCell = (surfaces, key) =>
+  surfaces
+    .map(surface => (surface.cells.includes(key)
+      ? { ...surface, cells: surface.cells.filter(cell => cell !== key) }
+      : surface))
+    .filter(surface => surface.cells.length > 0);
+
+export const paintCell = (level, x, z, surfaceType) => {
+  const key = cellKey(x, z);
+  const current = getSurfaceAt(level, x, z);
+  if (current && current.type === surfaceType) return level;
+
+  const surfaces = withoutCell(level.surfaces, key);
+  const index = surfaces.findIndex(surface => surface.type === surfaceType);
+  if (index === -1) {
+    const preset = SURFACE_PRESETS[surfaceType];
+    surfaces.push({
+      type: surfaceType,
+      dirtiness: preset.dirtiness,
+      height: preset.height,
+      material: { color: preset.color, roughness: 0.8, metalness: 0.2 },
+      cells: [key]
+    });
+  } else {
+    surfaces[index] = { ...surfaces[index], cells: [...surfaces[index].cells, key] };
+  }
+
+  return { ...level, surfaces };
+};
+
+export const eraseCell = (level, x, z) => {
+  if (!getSurfaceAt(level, x, z)) return level;
+  return { ...level, surfaces: withoutCell(level.surfaces, cellKey(x, z)) };
+};
+
+export const placeObstacle = (level, obstacleType, x, z) => ({
+  ...level,
+  obstacles: [
+    ...level.obstacles,
+    { type: obstacleType, position: [x, z], size: [...OBSTACLE_PRESETS[obstacleType].size] }
+  ]
+});
+
+export const placeRefillStation = (level, kind, x, z) => ({
+  ...level,
+  refillStations: [...level.refillStations, { kind, position: [x, z] }]
+});
+
+// Removes every obstacle covering the cell and any point prop or station standing on it
+export const removeObjectsAt = (level, x, z) => {
+  const key = cellKey(x, z);
+  const elsewhere = (object) =>
+    !object.position || cellKey(object.position[0], object.position[1]) !== key;
+  const obstacles = level.obstacles.filter(obstacle => !isInObstacle(obstacle, x, z));
+  const props = level.props.filter(elsewhere);
+  const refillStations = level.refillStations.filter(elsewhere);
+
+  if (obstacles.length === level.obstacles.length && props.length === level.props.length &&
+      refillStations.length === level.refillStations.length) {
+    return level;
+  }
+  return { ...level, obstacles, props, refillStations };
+};
+
+export const setSpawn = (level, x, z) => ({ ...level, spawn: [x, z] });
+
+export const setDock = (level, x, z) => ({ ...level, dock: { position: [x, z] } });
+
+export const renameLevel = (level, name) => ({
+  ...level,
+  name,
+  id: slugify(name) || 'customSite'
+});
+
+// Shrinking the bounds drops painted cells outside them and pulls spawn and dock inside
+export const resizeLevel = (level, bounds) => {
+  const inside = (key) => {
+    const [x, z] = key.split(',').map(Number);
+    return x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ;
+  };
+  const [spawnX, spawnZ] = level.spawn;
+  const clampPoint = ([x, z]) => [
+    Math.max(bounds.minX, Math.min(bounds.maxX, x)),
+    Math.max(bounds.minZ, Math.min(bounds.maxZ, z))
+  ];
+
+  return {
+    ...level,
+    bounds,
+    ground: groundFor(bounds, level.ground),
+    spawn: clampPoint([spawnX, spawnZ]),
+    dock: level.dock && { position: clampPoint(level.dock.position) },
+    surfaces: level.surfaces
+      .map(surface => ({ ...surface, cells: surface.cells.filter(inside) }))
+      .filter(surface => surface.cells.length > 0)
+  };
+};
+
+// Cells covered by obstacles, for drawing footprints on the editor grid
+export const getObstacleCells = (level) => {
+  const cells = new Set();
+  level.obstacles.forEach(obstacle => {
+    const footprint = getObstacleFootprint(obstacle);
+    for (let x = Math.ceil(footprint.x - footprint.halfWidth); x <= footprint.x + footprint.halfWidth; x++) {
+      for (let z = Math.ceil(footprint.z - footprint.halfDepth); z <= footprint.z + footprint.halfDepth; z++) {
+        if (isInObstacle(obstacle, x, z)) cells.add(cellKey(x, z));
+      }
+    }
+  });
+  return cells;
+};
@@ -0,0 +1,27 @@
+import { validateLevel, withLevelDefaults } from '../levels/levelSchema';
+import { downloadBlob } from '../download';
+
+export const downloadLevel = (level) => {
+  const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `${level.id}.json`);
+};
+
+// Resolves with the parsed level, or rejects with every schema problem found
+export const readLevelFile = async (file) => {
+  const text = await file.text();
+  let level;
+  try {
+    level = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  if (!level || typeof level !== 'object' || Array.isArray(level)) {
+    throw new Error(`${file.name} does not contain a level object`);
+  }
+
+  const errors = validateLevel(withLevelDefaults(level));
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  return withLevelDefaults(level);
+};
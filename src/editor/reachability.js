@@ -0,0 +1,46 @@
+// Flood fill from the spawn cell to find cleanable cells LavoBot can never reach.
+import { buildDirtyCells, cellKey, isBlocked } from '../levels/levelRules';
+import { canStep } from '../game/pathfinding';
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+const inBounds = (bounds, x, z) =>
+  x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ;
+
+// LavoBot may cross any unblocked cell inside the bounds, painted or not
+export const findReachableCells = (level) => {
+  const { bounds } = level;
+  const [spawnX, spawnZ] = level.spawn.map(Math.round);
+  const reachable = new Set();
+  if (!inBounds(bounds, spawnX, spawnZ) || isBlocked(level, spawnX, spawnZ)) {
+    return reachable;
+  }
+
+  const queue = [[spawnX, spawnZ]];
+  reachable.add(cellKey(spawnX, spawnZ));
+  while (queue.length > 0) {
+    const [x, z] = queue.shift();
+    NEIGHBOURS.forEach(([dx, dz]) => {
+      const nx = x + dx;
+      const nz = z + dz;
+      const key = cellKey(nx, nz);
+      if (reachable.has(key) || !inBounds(bounds, nx, nz) || isBlocked(level, nx, nz) ||
+          !canStep(level, x, z, nx, nz)) return;
+      reachable.add(key);
+      queue.push([nx, nz]);
+    });
+  }
+
+  return reachable;
+};
+
+export const validateReachability = (level) => {
+  const [spawnX, spawnZ] = level.spawn;
+  const spawnBlocked = !inBounds(level.bounds, spawnX, spawnZ) || isBlocked(level, spawnX, spawnZ);
+  const reachable = findReachableCells(level);
+  const unreachable = Array.from(buildDirtyCells(level)).filter(cell => !reachable.has(cell));
+  const dockUnreachable = Boolean(level.dock) &&
+    !reachable.has(cellKey(level.dock.position[0], level.dock.position[1]));
+
+  return { spawnBlocked, unreachable, dockUnreachable };
+};
@@ -0,0 +1,77 @@
+import { useReducer, useCallback } from 'react';
+
+const MAX_HISTORY = 100;
+
+// `commit` records an undo step; `stroke` edits keep amending the step opened by
+// `beginStroke` so a whole brush drag undoes in one go.
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'commit': {
+      const present = action.edit(state.present);
+      if (present === state.present) return state;
+      return {
+        past: [...state.past, state.present].slice(-MAX_HISTORY),
+        present,
+        future: []
+      };
+    }
+    case 'beginStroke':
+      return { ...state, strokeStart: state.present };
+    case 'stroke': {
+      const present = action.edit(state.present);
+      if (present === state.present) return state;
+      if (state.strokeStart === state.present) {
+        return {
+          past: [...state.past, state.strokeStart].slice(-MAX_HISTORY),
+          present,
+          future: [],
+          strokeStart: null
+        };
+      }
+      return { ...state, present };
+    }
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future]
+      };
+    }
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1)
+      };
+    }
+    default:
+      return state;
+  }
+};
+
+export default function useEditorHistory(initialLevel) {
+  const [state, dispatch] = useReducer(historyReducer, {
+    past: [],
+    present: initialLevel,
+    future: []
+  });
+
+  const commit = useCallback((edit) => dispatch({ type: 'commit', edit }), []);
+  const beginStroke = useCallback(() => dispatch({ type: 'beginStroke' }), []);
+  const stroke = useCallback((edit) => dispatch({ type: 'stroke', edit }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+
+  return {
+    level: state.present,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    commit,
+    beginStroke,
+    stroke,
+    undo,
+    redo
+  };
+}
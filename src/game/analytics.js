@@ -0,0 +1,125 @@
+// Post-run analytics for comparing cleaning strategies. A run tracker watches
+// every tick of one simulation: how often the brush passed over each cell, how
+// far LavoBot drove and how long it sat still, plus a timeline of the progress
+// figures. Everything is counted from when the scene was opened or resumed.
+import { cellKey, parseCellKey } from '../levels/levelRules.js';
+
+// Seconds between timeline samples
+export const TIMELINE_INTERVAL = 5;
+
+// Moving less than this in a tick counts as standing idle
+export const IDLE_DISTANCE = 0.001;
+
+// Heatmap colours by number of passes: never, once, twice ... and HEAT_COLORS.length - 1 or more
+export const HEAT_COLORS = ['#263238', '#1565c0', '#00897b', '#7cb342', '#fdd835', '#fb8c00', '#e53935'];
+
+export const getHeatColor = (passes) => HEAT_COLORS[Math.min(passes, HEAT_COLORS.length - 1)];
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// `|| 0` turns a rounded -0 into 0 so it reads (and serialises) as 0
+const round = (value, places) => Number(value.toFixed(places)) || 0;
+
+// Groups cell keys into 4-connected patches, largest first. Each region is
+// { size, centre: { x, z }, minX, maxX, minZ, maxZ }.
+export const findRegions = (keys) => {
+  const remaining = new Set(keys);
+  const regions = [];
+
+  remaining.forEach((start) => {
+    remaining.delete(start);
+    const queue = [start];
+    const region = { size: 0, minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    let sumX = 0;
+    let sumZ = 0;
+
+    while (queue.length > 0) {
+      const { x, z } = parseCellKey(queue.pop());
+      region.size += 1;
+      sumX += x;
+      sumZ += z;
+      region.minX = Math.min(region.minX, x);
+      region.maxX = Math.max(region.maxX, x);
+      region.minZ = Math.min(region.minZ, z);
+      region.maxZ = Math.max(region.maxZ, z);
+      NEIGHBOURS.forEach(([dx, dz]) => {
+        const next = cellKey(x + dx, z + dz);
+        if (remaining.delete(next)) queue.push(next);
+      });
+    }
+
+    region.centre = { x: round(sumX / region.size, 1), z: round(sumZ / region.size, 1) };
+    regions.push(region);
+  });
+
+  return regions.sort((a, b) => b.size - a.size);
+};
+
+// Dirt scrubbed per minute, in filthy cells' worth, between each timeline
+// sample and the one before. `time` is where each stretch ends.
+export const getCleaningRates = (timeline) =>
+  timeline.slice(1).map((sample, i) => {
+    const previous = timeline[i];
+    const minutes = (sample.time - previous.time) / 60;
+    return {
+      time: sample.time,
+      rate: minutes > 0 ? round((sample.dirtScrubbed - previous.dirtScrubbed) / minutes, 2) : 0
+    };
+  });
+
+// `cells` are the cleanable cell keys; `getSnapshot` returns the progress
+// figures right now: { time, cleanliness, cleanedTiles, dirtScrubbed }.
+export const createRunTracker = ({ cells, getSnapshot }) => {
+  const passes = new Map(Array.from(cells, key => [key, 0]));
+  const first = getSnapshot();
+  const timeline = [first];
+  let underBrush = new Set();
+  let duration = 0;
+  let pathLength = 0;
+  let idleTime = 0;
+
+  return {
+    // One tick of `dt` seconds in which LavoBot moved `moved` units and the
+    // brush swept `coverage` (a map or set keyed by cell). A pass is counted
+    // when the brush arrives on a cell, not for every tick it stays there.
+    recordTick(dt, moved, coverage) {
+      const covered = new Set(coverage.keys());
+      covered.forEach((key) => {
+        if (!underBrush.has(key) && passes.has(key)) passes.set(key, passes.get(key) + 1);
+      });
+      underBrush = covered;
+
+      duration += dt;
+      pathLength += moved;
+      if (moved < IDLE_DISTANCE) idleTime += dt;
+
+      // A hair of slack so float drift in the clock never skips a sample
+      const due = timeline[timeline.length - 1].time + TIMELINE_INTERVAL;
+      if (first.time + duration >= due - 1e-6) timeline.push(getSnapshot());
+    },
+
+    // Everything so far. `dirtyCells` are the cells still dirty now, which
+    // make up the missed regions.
+    getReport(dirtyCells) {
+      const counts = Array.from(passes.values());
+      const totalPasses = counts.reduce((sum, count) => sum + count, 0);
+      const visitedCells = counts.filter(count => count > 0).length;
+      const now = getSnapshot();
+      const last = timeline[timeline.length - 1];
+
+      return {
+        duration: round(duration, 2),
+        pathLength: round(pathLength, 2),
+        idleTime: round(idleTime, 2),
+        totalCells: passes.size,
+        visitedCells,
+        totalPasses,
+        // Share of all passes that went back over a cell already covered
+        overlap: totalPasses > 0 ? round(((totalPasses - visitedCells) / totalPasses) * 100, 1) : 0,
+        passes: new Map(passes),
+        timeline: now.time > last.time ? [...timeline, now] : timeline.slice(),
+        missedRegions: findRegions(dirtyCells)
+      };
+    }
+  };
+};
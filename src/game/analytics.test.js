@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import {
+  HEAT_COLORS,
+  TIMELINE_INTERVAL,
+  createRunTracker,
+  findRegions,
+  getCleaningRates,
+  getHeatColor
+} from './analytics';
+
+// A tracker over a row of cells whose clock is driven by the test
+const createTestTracker = (cells = ['0,0', '1,0', '2,0']) => {
+  const state = { time: 0, cleanliness: 0, cleanedTiles: 0, dirtScrubbed: 0 };
+  const tracker = createRunTracker({ cells, getSnapshot: () => ({ ...state }) });
+  const tick = (moved, covered, dt = 1) => {
+    state.time += dt;
+    tracker.recordTick(dt, moved, new Set(covered));
+  };
+  return { state, tracker, tick };
+};
+
+describe('createRunTracker', () => {
+  it('counts a pass when the brush arrives on a cell, not while it stays', () => {
+    const { tracker, tick } = createTestTracker();
+    tick(0.1, ['0,0']);
+    tick(0.1, ['0,0', '1,0']);
+    tick(0.1, ['1,0']);
+    tick(0.1, ['0,0']);
+
+    const { passes, visitedCells, totalPasses } = tracker.getReport(new Set());
+    expect(passes.get('0,0')).toBe(2);
+    expect(passes.get('1,0')).toBe(1);
+    expect(passes.get('2,0')).toBe(0);
+    expect(visitedCells).toBe(2);
+    expect(totalPasses).toBe(3);
+  });
+
+  it('ignores cells that are not part of the grid', () => {
+    const { tracker, tick } = createTestTracker();
+    tick(0.1, ['9,9']);
+    expect(tracker.getReport(new Set()).passes.has('9,9')).toBe(false);
+  });
+
+  it('reports overlap as the share of passes over already covered cells', () => {
+    const { tracker, tick } = createTestTracker();
+    tick(0.1, ['0,0']);
+    tick(0.1, []);
+    tick(0.1, ['0,0']);
+    tick(0.1, ['1,0']);
+    // Three passes over two cells: one of them went over old ground
+    expect(tracker.getReport(new Set()).overlap).toBeCloseTo(33.3);
+  });
+
+  it('adds up path length and the time spent standing still', () => {
+    const { tracker, tick } = createTestTracker();
+    tick(0.5, [], 0.5);
+    tick(0, [], 0.5);
+    tick(0.25, [], 0.5);
+    const report = tracker.getReport(new Set());
+    expect(report.pathLength).toBe(0.75);
+    expect(report.idleTime).toBe(0.5);
+    expect(report.duration).toBe(1.5);
+  });
+
+  it('samples the timeline at a fixed interval and ends on the latest figures', () => {
+    const { state, tracker, tick } = createTestTracker();
+    for (let i = 0; i < TIMELINE_INTERVAL * 2 + 2; i++) {
+      state.dirtScrubbed += 1;
+      tick(0.1, []);
+    }
+    const times = tracker.getReport(new Set()).timeline.map(sample => sample.time);
+    expect(times).toEqual([0, TIMELINE_INTERVAL, TIMELINE_INTERVAL * 2, TIMELINE_INTERVAL * 2 + 2]);
+  });
+
+  it('lists what is still dirty as missed regions', () => {
+    const { tracker } = createTestTracker();
+    const { missedRegions } = tracker.getReport(new Set(['2,0']));
+    expect(missedRegions).toHaveLength(1);
+    expect(missedRegions[0]).toMatchObject({ size: 1, centre: { x: 2, z: 0 } });
+  });
+});
+
+describe('findRegions', () => {
+  it('groups neighbouring cells, largest first', () => {
+    const regions = findRegions(['0,0', '0,1', '1,1', '5,5', '6,6']);
+    expect(regions.map(region => region.size)).toEqual([3, 1, 1]);
+    expect(regions[0]).toMatchObject({ minX: 0, maxX: 1, minZ: 0, maxZ: 1 });
+    expect(regions[0].centre).toEqual({ x: 0.3, z: 0.7 });
+  });
+
+  it('does not join cells that only touch at a corner', () => {
+    expect(findRegions(['0,0', '1,1'])).toHaveLength(2);
+  });
+
+  it('finds nothing in an empty set', () => {
+    expect(findRegions(new Set())).toEqual([]);
+  });
+});
+
+describe('getCleaningRates', () => {
+  it('turns the scrubbed total into a rate per minute between samples', () => {
+    const timeline = [
+      { time: 0, dirtScrubbed: 0 },
+      { time: 30, dirtScrubbed: 2 },
+      { time: 60, dirtScrubbed: 2 }
+    ];
+    expect(getCleaningRates(timeline)).toEqual([
+      { time: 30, rate: 4 },
+      { time: 60, rate: 0 }
+    ]);
+  });
+});
+
+describe('getHeatColor', () => {
+  it('runs up the scale and stays on the hottest colour beyond it', () => {
+    expect(getHeatColor(0)).toBe(HEAT_COLORS[0]);
+    expect(getHeatColor(2)).toBe(HEAT_COLORS[2]);
+    expect(getHeatColor(50)).toBe(HEAT_COLORS[HEAT_COLORS.length - 1]);
+  });
+});
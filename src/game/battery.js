@@ -0,0 +1,40 @@
+// LavoBot's battery. Charge is a percentage; drain rates are per unit driven and
+// per cell's worth of dirt scrubbed, charging is per simulation tick spent on the dock.
+
+export const BATTERY_CAPACITY = 100;
+
+export const DRAIN_PER_UNIT = 0.08;
+export const DRAIN_PER_CLEANED_CELL = 0.03;
+export const CHARGE_PER_TICK = 0.25;
+
+// Below LOW the motors are throttled; at zero LavoBot cannot move at all
+export const LOW_CHARGE = 20;
+export const LOW_SPEED_FACTOR = 0.5;
+
+// Auto Dock heads home once charge drops below this
+export const RETURN_TO_DOCK_CHARGE = 25;
+
+// How close to the dock centre LavoBot has to be for the contacts to meet
+export const DOCK_RADIUS = 0.75;
+
+// `scrubbedCells` is the dirt removed this tick as a fraction of a filthy cell
+export const drainBattery = (charge, distance, scrubbedCells) =>
+  Math.max(0, charge - distance * DRAIN_PER_UNIT - scrubbedCells * DRAIN_PER_CLEANED_CELL);
+
+export const chargeBattery = (charge) => Math.min(BATTERY_CAPACITY, charge + CHARGE_PER_TICK);
+
+export const getBatteryState = (charge) => {
+  if (charge <= 0) return 'empty';
+  if (charge <= LOW_CHARGE) return 'low';
+  return 'ok';
+};
+
+export const getSpeedFactor = (charge) => {
+  const state = getBatteryState(charge);
+  if (state === 'empty') return 0;
+  if (state === 'low') return LOW_SPEED_FACTOR;
+  return 1;
+};
+
+export const isOnDock = (dock, x, z) =>
+  Boolean(dock) && Math.hypot(x - dock.position[0], z - dock.position[1]) <= DOCK_RADIUS;
@@ -0,0 +1,105 @@
+// LavoBot's cleaning footprint. The brush is a rectangle or circle on the
+// floor, offset along the heading, and each tick it scrubs every cell it
+// sweeps over between the previous pose and the current one in proportion to
+// how much of the cell it covered, so fast driving cannot skip cells.
+import { cellKey } from '../levels/levelRules.js';
+import { headingVector, wrapAngle } from './kinematics.js';
+
+// `width` is across the heading, `length` along it and `offset` how far the
+// brush centre sits ahead of the robot centre (negative is behind). A circle
+// brush uses `width` as its diameter.
+export const DEFAULT_BRUSH = {
+  shape: 'rect',
+  width: 0.6,
+  length: 0.3,
+  offset: 0.15
+};
+
+export const BRUSH_SHAPES = ['rect', 'circle'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Human readable problems with a brush config, none when it is usable
+export const validateBrush = (brush) => {
+  if (!brush || typeof brush !== 'object') {
+    return ['Brush must be an object'];
+  }
+  const errors = [];
+  if (!BRUSH_SHAPES.includes(brush.shape)) {
+    errors.push(`shape must be one of ${BRUSH_SHAPES.join(', ')}`);
+  }
+  if (!isNumber(brush.width) || brush.width <= 0) {
+    errors.push('width must be a positive number');
+  }
+  if (brush.shape !== 'circle' && (!isNumber(brush.length) || brush.length <= 0)) {
+    errors.push('length must be a positive number');
+  }
+  if (!isNumber(brush.offset)) {
+    errors.push('offset must be a number');
+  }
+  return errors;
+};
+
+// Coverage is measured on a grid of sample points inside each cell
+const SAMPLES_PER_AXIS = 4;
+const SAMPLE_OFFSETS = Array.from({ length: SAMPLES_PER_AXIS },
+  (_, i) => (i + 0.5) / SAMPLES_PER_AXIS - 0.5);
+
+// Largest gap allowed between interpolated poses, in units and radians
+const MAX_POSE_STEP = 0.1;
+const MAX_TURN_STEP = 0.2;
+
+const brushReach = (brush) => (brush.shape === 'circle'
+  ? Math.abs(brush.offset) + brush.width / 2
+  : Math.hypot(Math.abs(brush.offset) + brush.length / 2, brush.width / 2));
+
+const covers = (brush, pose, x, z) => {
+  const forward = headingVector(pose.heading);
+  const dx = x - (pose.x + forward.x * brush.offset);
+  const dz = z - (pose.z + forward.z * brush.offset);
+  if (brush.shape === 'circle') return Math.hypot(dx, dz) <= brush.width / 2;
+  const along = dx * forward.x + dz * forward.z;
+  const across = dx * -forward.z + dz * forward.x;
+  return Math.abs(along) <= brush.length / 2 && Math.abs(across) <= brush.width / 2;
+};
+
+// Poses between `from` and `to` ({ x, z, heading }), both ends included
+const sweepPoses = (from, to) => {
+  const turn = wrapAngle(to.heading - from.heading);
+  const steps = Math.max(1,
+    Math.ceil(Math.hypot(to.x - from.x, to.z - from.z) / MAX_POSE_STEP),
+    Math.ceil(Math.abs(turn) / MAX_TURN_STEP));
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const t = i / steps;
+    return {
+      x: from.x + (to.x - from.x) * t,
+      z: from.z + (to.z - from.z) * t,
+      heading: from.heading + turn * t
+    };
+  });
+};
+
+// Map of cell key to the share of that cell (0..1] the brush swept this tick
+export const getBrushCoverage = (brush, from, to) => {
+  const poses = sweepPoses(from, to);
+  const reach = brushReach(brush);
+  const minX = Math.round(Math.min(from.x, to.x) - reach);
+  const maxX = Math.round(Math.max(from.x, to.x) + reach);
+  const minZ = Math.round(Math.min(from.z, to.z) - reach);
+  const maxZ = Math.round(Math.max(from.z, to.z) + reach);
+  const coverage = new Map();
+
+  for (let cx = minX; cx <= maxX; cx++) {
+    for (let cz = minZ; cz <= maxZ; cz++) {
+      let covered = 0;
+      SAMPLE_OFFSETS.forEach(ox => {
+        SAMPLE_OFFSETS.forEach(oz => {
+          if (poses.some(pose => covers(brush, pose, cx + ox, cz + oz))) covered++;
+        });
+      });
+      if (covered > 0) coverage.set(cellKey(cx, cz), covered / (SAMPLES_PER_AXIS * SAMPLES_PER_AXIS));
+    }
+  }
+
+  return coverage;
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { BRUSH_SHAPES, DEFAULT_BRUSH, validateBrush } from './brush';
+import { getLevel } from '../levels';
+import { createSimulation } from './simulation';
+
+describe('validateBrush', () => {
+  it('accepts the default brush and a brush of every shape', () => {
+    expect(validateBrush(DEFAULT_BRUSH)).toEqual([]);
+    BRUSH_SHAPES.forEach((shape) => {
+      expect(validateBrush({ ...DEFAULT_BRUSH, shape })).toEqual([]);
+    });
+  });
+
+  it('lets a circle go without a length, since its width is its diameter', () => {
+    expect(validateBrush({ shape: 'circle', width: 0.5, offset: 0 })).toEqual([]);
+    expect(validateBrush({ shape: 'rect', width: 0.5, offset: 0 })).toEqual(['length must be a positive number']);
+  });
+
+  it('names every problem', () => {
+    expect(validateBrush(null)).toEqual(['Brush must be an object']);
+    expect(validateBrush({ shape: 'triangle', width: 0, length: 0.3, offset: 'ahead' })).toEqual([
+      'shape must be one of rect, circle',
+      'width must be a positive number',
+      'offset must be a number'
+    ]);
+  });
+
+  it('keeps a simulation from starting with a brush it cannot sweep', () => {
+    const level = getLevel('driveway');
+    expect(() => createSimulation({ level, brush: { ...DEFAULT_BRUSH, shape: 'star' } }))
+      .toThrow('Invalid brush: shape must be one of rect, circle');
+    expect(() => createSimulation({ level, brush: { ...DEFAULT_BRUSH, shape: 'circle' } })).not.toThrow();
+  });
+});
@@ -0,0 +1,67 @@
+// Where each camera mode puts the camera, as plain numbers so the framing
+// can be worked out (and tested) without three.js. Offsets are in LavoBot's
+// frame: +Z is behind it, and `yaw` is the heading the camera has swung to.
+
+export const CAMERA_MODES = {
+  chase: 'Chase',
+  firstPerson: 'First Person',
+  topDown: 'Top Down',
+  orbit: 'Orbit'
+};
+
+export const DEFAULT_CAMERA_MODE = 'chase';
+
+const CAMERA_MODE_ORDER = Object.keys(CAMERA_MODES);
+
+export const nextCameraMode = (mode) =>
+  CAMERA_MODE_ORDER[(CAMERA_MODE_ORDER.indexOf(mode) + 1) % CAMERA_MODE_ORDER.length];
+
+// Sessions saved before there were modes say 'thirdPerson', which is the chase cam
+export const toCameraMode = (saved) => (CAMERA_MODE_ORDER.includes(saved) ? saved : DEFAULT_CAMERA_MODE);
+
+const CHASE_OFFSET = { x: 0, y: 2, z: 3 };
+const FIRST_PERSON_OFFSET = { x: 0, y: 0.5, z: 0.75 };
+const FIRST_PERSON_LOOK_AHEAD = { x: 0, y: 0.5, z: -3 };
+
+// Share of the site's size left as a border around the overview
+const OVERVIEW_MARGIN = 1.1;
+
+// Rotates an offset in LavoBot's frame about +Y into the world
+const rotateOffset = ({ x, y, z }, yaw) => ({
+  x: x * Math.cos(yaw) + z * Math.sin(yaw),
+  y,
+  z: -x * Math.sin(yaw) + z * Math.cos(yaw)
+});
+
+const addOffset = (point, offset) => ({ x: point.x + offset.x, y: point.y + offset.y, z: point.z + offset.z });
+
+// Above and behind LavoBot, looking at it
+export const getChaseView = (position, yaw) => ({
+  position: addOffset(position, rotateOffset(CHASE_OFFSET, yaw)),
+  target: { ...position }
+});
+
+// From LavoBot's top, looking the way it faces
+export const getFirstPersonView = (position, yaw) => ({
+  position: addOffset(position, rotateOffset(FIRST_PERSON_OFFSET, yaw)),
+  target: addOffset(position, rotateOffset(FIRST_PERSON_LOOK_AHEAD, yaw))
+});
+
+// Straight down on the middle of the site, or on `focus` ({ x, z }) when
+// given, high enough that the whole of `bounds` fits a view with vertical
+// field of view `fov` (degrees) and width / height `aspect`. North (-Z) is up
+// the screen.
+export const getOverviewView = (bounds, fov, aspect, focus = null) => {
+  const centre = focus
+    ? { x: focus.x, y: 0, z: focus.z }
+    : { x: (bounds.minX + bounds.maxX) / 2, y: 0, z: (bounds.minZ + bounds.maxZ) / 2 };
+  const halfHeight = Math.tan((fov * Math.PI) / 360);
+  const halfDepth = ((bounds.maxZ - bounds.minZ) / 2) * OVERVIEW_MARGIN;
+  const halfWidth = ((bounds.maxX - bounds.minX) / 2) * OVERVIEW_MARGIN;
+  const height = Math.max(halfDepth / halfHeight, halfWidth / (halfHeight * aspect));
+  return {
+    // The nudge south keeps "up the screen" defined when looking straight down
+    position: { x: centre.x, y: height, z: centre.z + height * 1e-3 },
+    target: centre
+  };
+};
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { LEVELS, getLevel } from '../levels';
+import {
+  CAMERA_MODES,
+  getChaseView,
+  getFirstPersonView,
+  getOverviewView,
+  nextCameraMode,
+  toCameraMode
+} from './cameraViews';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+describe('camera modes', () => {
+  it('cycle round every mode', () => {
+    let mode = 'chase';
+    const seen = [];
+    Object.keys(CAMERA_MODES).forEach(() => {
+      seen.push(mode);
+      mode = nextCameraMode(mode);
+    });
+    expect(seen).toEqual(Object.keys(CAMERA_MODES));
+    expect(mode).toBe('chase');
+  });
+
+  it('read old and unknown saves as the chase cam', () => {
+    expect(toCameraMode('thirdPerson')).toBe('chase');
+    expect(toCameraMode(undefined)).toBe('chase');
+    expect(toCameraMode('toString')).toBe('chase');
+    expect(toCameraMode('orbit')).toBe('orbit');
+  });
+});
+
+describe('getChaseView', () => {
+  it('sits above and behind LavoBot, looking at it', () => {
+    const view = getChaseView({ x: 1, y: 0, z: 1 }, 0);
+    expect(view.position).toEqual({ x: 1, y: 2, z: 4 });
+    expect(view.target).toEqual({ x: 1, y: 0, z: 1 });
+  });
+
+  it('swings round with the yaw', () => {
+    // Facing -X (a quarter turn left), behind is +X
+    const { position } = getChaseView(ORIGIN, Math.PI / 2);
+    expect(position.x).toBeCloseTo(3);
+    expect(position.z).toBeCloseTo(0);
+  });
+});
+
+describe('getFirstPersonView', () => {
+  it('looks ahead the way LavoBot faces', () => {
+    const view = getFirstPersonView(ORIGIN, 0);
+    expect(view.position.y).toBeCloseTo(0.5);
+    expect(view.target.z).toBeLessThan(view.position.z);
+    expect(view.target.x).toBeCloseTo(0);
+  });
+});
+
+describe('getOverviewView', () => {
+  const tanHalf = Math.tan(Math.PI / 6);
+
+  it('centres on the site and looks straight down', () => {
+    const { bounds } = getLevel('parkingLot');
+    const view = getOverviewView(bounds, 60, 16 / 9);
+    expect(view.target).toEqual({ x: 0, y: 0, z: -15 });
+    expect(view.position.x).toBe(0);
+    expect(view.position.z - view.target.z).toBeLessThan(0.1);
+  });
+
+  it('centres on a focus point at the same height', () => {
+    const { bounds } = getLevel('parkingLot');
+    const whole = getOverviewView(bounds, 60, 1);
+    const focused = getOverviewView(bounds, 60, 1, { x: 4, z: -2 });
+    expect(focused.target).toEqual({ x: 4, y: 0, z: -2 });
+    expect(focused.position.x).toBe(4);
+    expect(focused.position.y).toBe(whole.position.y);
+  });
+
+  it('fits the whole of the bounds in view', () => {
+    LEVELS.forEach(({ bounds }) => {
+      [0.5, 1, 16 / 9].forEach((aspect) => {
+        const { position } = getOverviewView(bounds, 60, aspect);
+        const visibleHalfDepth = position.y * tanHalf;
+        const visibleHalfWidth = visibleHalfDepth * aspect;
+        expect(visibleHalfDepth).toBeGreaterThanOrEqual((bounds.maxZ - bounds.minZ) / 2);
+        expect(visibleHalfWidth).toBeGreaterThanOrEqual((bounds.maxX - bounds.minX) / 2);
+      });
+    });
+  });
+
+  it('climbs higher on a narrow screen', () => {
+    const { bounds } = getLevel('parkingLot');
+    expect(getOverviewView(bounds, 60, 0.5).position.y).toBeGreaterThan(getOverviewView(bounds, 60, 2).position.y);
+  });
+});
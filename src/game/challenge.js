@@ -0,0 +1,54 @@
+// Timed challenge rules. Each site has a par time and a target cleanliness;
+// a run ends when the target is reached or the clock runs out, and is scored
+// out of 1000 from completion, time left, path efficiency and collisions.
+
+export const DEFAULT_CHALLENGE = {
+  parTime: 180,
+  targetCleanliness: 80,
+  stars: [400, 600, 800]
+};
+
+export const SCORE_WEIGHTS = {
+  completion: 400,
+  time: 300,
+  efficiency: 200,
+  collisions: 100
+};
+
+// Share of the collision points lost per bump
+export const COLLISION_PENALTY = 0.1;
+
+export const getChallenge = (level) => ({ ...DEFAULT_CHALLENGE, ...level.challenge });
+
+// Shortest plausible drive to reach the target: the brush has to pass over
+// that share of the site once, lane by lane
+export const getIdealDistance = (totalTiles, targetCleanliness, brushWidth) =>
+  (totalTiles * (targetCleanliness / 100)) / brushWidth;
+
+export const getTimeLeft = (challenge, elapsed) => Math.max(0, challenge.parTime - elapsed);
+
+export const formatTime = (seconds) => {
+  const whole = Math.ceil(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// `run` is { cleanliness, elapsed, distance, collisions, totalTiles, brushWidth }
+export const scoreRun = (run, challenge) => {
+  const passed = run.cleanliness >= challenge.targetCleanliness;
+  const ideal = getIdealDistance(run.totalTiles, challenge.targetCleanliness, run.brushWidth);
+
+  const parts = {
+    completion: SCORE_WEIGHTS.completion * Math.min(1, run.cleanliness / challenge.targetCleanliness),
+    time: passed ? SCORE_WEIGHTS.time * (getTimeLeft(challenge, run.elapsed) / challenge.parTime) : 0,
+    efficiency: run.distance > 0 ? SCORE_WEIGHTS.efficiency * Math.min(1, ideal / run.distance) : 0,
+    collisions: SCORE_WEIGHTS.collisions * Math.max(0, 1 - run.collisions * COLLISION_PENALTY)
+  };
+  Object.keys(parts).forEach(key => {
+    parts[key] = Math.round(parts[key]);
+  });
+  const total = parts.completion + parts.time + parts.efficiency + parts.collisions;
+
+  // Stars are only awarded for runs that actually reached the target
+  const stars = passed ? challenge.stars.filter(threshold => total >= threshold).length : 0;
+  return { passed, parts, total, stars };
+};
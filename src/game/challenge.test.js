@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { LEVELS } from '../levels';
+import { getChallenge, scoreRun } from './challenge';
+import { createSimulation } from './simulation';
+
+// Plays a level's challenge out headless with Auto Clean, which heads home to
+// charge when it must, and returns the finished run
+const playChallenge = (level) => {
+  const challenge = getChallenge(level);
+  const simulation = createSimulation({ level, challenge });
+  let run = null;
+  simulation.subscribe((event) => {
+    if (event.type === 'challengeEnd') run = event.run;
+  });
+  simulation.setAutoDock(true);
+  simulation.setAutoClean(true);
+  while (!run) simulation.step();
+  return { challenge, run };
+};
+
+describe('challenge calibration', () => {
+  LEVELS.forEach((level) => {
+    it(`${level.name}: the target can be reached within par time`, () => {
+      const { challenge, run } = playChallenge(level);
+      expect(run.cleanliness).toBeGreaterThanOrEqual(challenge.targetCleanliness);
+      expect(run.elapsed).toBeLessThan(challenge.parTime);
+      expect(scoreRun(run, challenge).passed).toBe(true);
+    });
+  });
+});
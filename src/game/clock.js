@@ -0,0 +1,42 @@
+// The simulation clock. LavoBot is simulated in fixed ticks whatever the
+// display's refresh rate, so it drives, cleans and drains the same on every
+// machine and a run replays tick for tick. Frames draw between the last two
+// ticks so motion stays smooth when the two rates differ.
+import { wrapAngle } from './kinematics.js';
+
+export const TICK_RATE = 60;
+export const TICK_SECONDS = 1 / TICK_RATE;
+
+// Frame times above this (a backgrounded tab, a hitch) only count this much,
+// so the simulation never tries to catch up on a long stall in one go
+export const MAX_FRAME_TIME = 0.1;
+
+export const createFixedClock = () => {
+  let pending = 0;
+
+  return {
+    // Number of ticks due after a frame lasting `delta` seconds
+    advance(delta) {
+      pending += Math.min(delta, MAX_FRAME_TIME);
+      // The epsilon keeps float rounding from holding a whole tick back a frame
+      const ticks = Math.floor(pending / TICK_SECONDS + 1e-9);
+      pending = Math.max(0, pending - ticks * TICK_SECONDS);
+      return ticks;
+    },
+
+    // How far the current frame is from the last tick to the next, 0..1
+    get alpha() {
+      return pending / TICK_SECONDS;
+    }
+  };
+};
+
+// Pose `t` of the way from one tick's pose to the next, turning the short way round
+export const interpolatePose = (from, to, t) => ({
+  x: from.x + (to.x - from.x) * t,
+  z: from.z + (to.z - from.z) * t,
+  heading: from.heading + wrapAngle(to.heading - from.heading) * t
+});
+
+// Per-tick smoothing factor applied over a frame of `delta` seconds
+export const frameSmoothing = (perTick, delta) => 1 - Math.pow(1 - perTick, delta * TICK_RATE);
@@ -0,0 +1,135 @@
+// Full-coverage route planning for Auto Clean.
+//
+// The grid is split with a boustrophedon cell decomposition: every column of
+// traversable cells is cut into runs by colliders, and runs in neighbouring
+// columns join the same region while they overlap one-to-one. Each region is
+// then swept lawnmower style, one column at a time, and regions are chained
+// nearest-first with A* transfers around whatever lies between them.
+import { CELL_SIZE, cellKey } from '../levels/levelRules.js';
+import { canStep, findPath, isTraversable, nearestOpenCell } from './pathfinding.js';
+
+// Runs of consecutive traversable cells in one column: [{ x, minZ, maxZ }]
+const columnRuns = (level, x) => {
+  const { bounds } = level;
+  const runs = [];
+  let start = null;
+  for (let z = bounds.minZ; z <= bounds.maxZ + CELL_SIZE; z += CELL_SIZE) {
+    const open = z <= bounds.maxZ && isTraversable(level, x, z);
+    // Something thin between two open cells also ends the run
+    const joined = open && canStep(level, x, z - CELL_SIZE, x, z);
+    if (start !== null && !joined) {
+      runs.push({ x, minZ: start, maxZ: z - CELL_SIZE });
+      start = null;
+    }
+    if (open && start === null) start = z;
+  }
+  return runs;
+};
+
+const overlaps = (a, b) => a.minZ <= b.maxZ && b.minZ <= a.maxZ;
+
+// Groups column runs into regions that can each be swept without leaving them
+export const decompose = (level) => {
+  const { bounds } = level;
+  const regions = [];
+  let previous = [];
+
+  for (let x = bounds.minX; x <= bounds.maxX; x += CELL_SIZE) {
+    const runs = columnRuns(level, x);
+    runs.forEach(run => {
+      const left = previous.filter(prev => overlaps(prev, run));
+      const continues = left.length === 1 &&
+        runs.filter(other => overlaps(left[0], other)).length === 1;
+      if (continues) {
+        run.region = left[0].region;
+        regions[run.region].push(run);
+      } else {
+        run.region = regions.length;
+        regions.push([run]);
+      }
+    });
+    previous = runs;
+  }
+
+  return regions;
+};
+
+// Serpentine sweep over the runs of one region that still hold dirty cells
+const sweepRegion = (runs, dirtyCells, reverse) => {
+  const ordered = reverse ? [...runs].reverse() : runs;
+  const waypoints = [];
+  let downward = false;
+
+  ordered.forEach(run => {
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+    for (let z = run.minZ; z <= run.maxZ; z += CELL_SIZE) {
+      if (dirtyCells.has(cellKey(run.x, z))) {
+        minZ = Math.min(minZ, z);
+        maxZ = Math.max(maxZ, z);
+      }
+    }
+    if (minZ === Infinity) return;
+
+    if (downward) {
+      waypoints.push([run.x, maxZ], [run.x, minZ]);
+    } else {
+      waypoints.push([run.x, minZ], [run.x, maxZ]);
+    }
+    downward = !downward;
+  });
+
+  return waypoints;
+};
+
+const distance = ([ax, az], [bx, bz]) => Math.abs(ax - bx) + Math.abs(az - bz);
+
+// Joins waypoints with A* legs so every consecutive pair is one grid step apart
+const connect = (level, from, waypoints, route) => {
+  let current = from;
+  waypoints.forEach(waypoint => {
+    const leg = findPath(level, current, waypoint);
+    if (!leg) return;
+    route.push(...leg.slice(1));
+    current = waypoint;
+  });
+  return current;
+};
+
+// Plans a route from (x, z) that passes over every cell in `dirtyCells`.
+// Returns a list of [x, z] cell centres, starting with the robot's own cell.
+export const planCoverage = (level, dirtyCells, x, z) => {
+  const start = nearestOpenCell(level, x, z);
+  if (!start) return [];
+
+  const sweeps = decompose(level)
+    .map(runs => ({
+      forward: sweepRegion(runs, dirtyCells, false),
+      backward: sweepRegion(runs, dirtyCells, true)
+    }))
+    .filter(sweep => sweep.forward.length > 0);
+
+  const route = [start];
+  let current = start;
+  while (sweeps.length > 0) {
+    // Pick the region (and the end to enter it from) closest to where we are
+    let bestIndex = 0;
+    let bestWaypoints = sweeps[0].forward;
+    let bestDistance = Infinity;
+    sweeps.forEach((sweep, i) => {
+      [sweep.forward, sweep.backward].forEach(waypoints => {
+        const d = distance(current, waypoints[0]);
+        if (d < bestDistance) {
+          bestIndex = i;
+          bestWaypoints = waypoints;
+          bestDistance = d;
+        }
+      });
+    });
+
+    sweeps.splice(bestIndex, 1);
+    current = connect(level, current, bestWaypoints, route);
+  }
+
+  return route;
+};
@@ -0,0 +1,86 @@
+// Per-cell dirt levels. Every cleanable cell starts somewhere between 0 and
+// MAX_DIRT and the brush scrubs dirt off it each tick in proportion to how much
+// of the cell it covers, so heavily soiled cells take more than one pass.
+import { buildDirtyCells, getSurfaceAt, parseCellKey } from '../levels/levelRules.js';
+
+export const MAX_DIRT = 100;
+
+// Dirt scrubbed per tick off a cell the brush covers completely
+export const CLEANING_RATE = 20;
+
+// Anything at or below this counts as clean and is wiped to zero
+export const CLEAN_THRESHOLD = 5;
+
+// Overlay shades the dirt is drawn with, from barely soiled to filthy
+export const DIRT_SHADES = 8;
+
+export const DEFAULT_DIRT = { base: 50, variation: 20, hotspots: [] };
+
+// Small deterministic PRNG so a level always plays out with the same dirt
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+};
+
+const clampDirt = (value) => Math.max(0, Math.min(MAX_DIRT, value));
+
+// Hotspots add dirt that fades out linearly towards their radius
+const hotspotDirt = (hotspots, x, z) => hotspots.reduce((sum, hotspot) => {
+  const distance = Math.hypot(x - hotspot.position[0], z - hotspot.position[1]);
+  return distance >= hotspot.radius ? sum : sum + hotspot.amount * (1 - distance / hotspot.radius);
+}, 0);
+
+// Base dirt scaled by the surface's dirtiness, plus noise and hotspots. Cells
+// that would start below the clean threshold get a light film so every
+// cleanable cell begins dirty.
+export const seedDirt = (level) => {
+  const config = { ...DEFAULT_DIRT, ...level.dirt };
+  const random = createRandom(config.seed !== undefined ? config.seed : hashString(level.id));
+  const dirt = new Map();
+
+  Array.from(buildDirtyCells(level)).sort().forEach(key => {
+    const { x, z } = parseCellKey(key);
+    const surface = getSurfaceAt(level, x, z);
+    const dirtiness = surface.dirtiness !== undefined ? surface.dirtiness : 1;
+    const noise = (random() * 2 - 1) * config.variation;
+    const value = config.base * dirtiness + noise + hotspotDirt(config.hotspots, x, z);
+    dirt.set(key, Math.max(CLEAN_THRESHOLD + 1, Math.round(clampDirt(value))));
+  });
+
+  return dirt;
+};
+
+export const isClean = (dirt) => dirt <= CLEAN_THRESHOLD;
+
+// One tick of scrubbing: the new dirt level and how much was taken off
+export const scrubDirt = (dirt, rate = CLEANING_RATE) => {
+  const left = dirt - rate;
+  const next = isClean(left) ? 0 : left;
+  return { dirt: next, removed: dirt - next };
+};
+
+// 0 for clean cells, otherwise 1..DIRT_SHADES
+export const getDirtShade = (dirt) =>
+  (isClean(dirt) ? 0 : Math.max(1, Math.ceil((dirt / MAX_DIRT) * DIRT_SHADES)));
+
+export const getTotalDirt = (dirtLevels) => {
+  let total = 0;
+  dirtLevels.forEach(value => {
+    total += value;
+  });
+  return total;
+};
@@ -0,0 +1,63 @@
+// Differential-drive kinematics. LavoBot always drives along its heading and
+// turns on the spot, accelerating up to a top speed instead of jumping to it.
+// Speeds are per simulation tick (see clock.js) and angles per tick in radians.
+
+export const MAX_SPEED = 0.15;
+export const ACCELERATION = 0.01;
+export const DECELERATION = 0.02;
+
+// Steer mode turns toward the direction of travel; tank mode rotates while a
+// turn key is held and backs up at reduced speed
+export const TURN_RATE = 0.2;
+export const TANK_TURN_RATE = 0.06;
+export const REVERSE_SPEED_FACTOR = 0.5;
+
+export const DRIVE_MODES = {
+  steer: 'Steer',
+  tank: 'Tank'
+};
+
+// Heading is a yaw around +Y; 0 faces -Z, the way the camera has always looked
+export const headingFromVector = (x, z) => Math.atan2(-x, -z);
+
+export const headingVector = (heading) => ({ x: -Math.sin(heading), z: -Math.cos(heading) });
+
+export const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// Speeds up at ACCELERATION and brakes (including through zero) at DECELERATION
+const approachSpeed = (speed, target) => {
+  const braking = Math.abs(target) < Math.abs(speed) || (speed !== 0 && Math.sign(target) !== Math.sign(speed));
+  const rate = braking ? DECELERATION : ACCELERATION;
+  return speed < target ? Math.min(target, speed + rate) : Math.max(target, speed - rate);
+};
+
+// Turns toward the movement vector and only drives once roughly facing it.
+// The speed never exceeds what the vector asks for, so routes that scale their
+// last step down still land exactly on their waypoints.
+export const steerDrive = (state, movement, maxSpeed) => {
+  const magnitude = Math.min(1, Math.hypot(movement.x, movement.z));
+  if (magnitude === 0) {
+    return { heading: state.heading, speed: approachSpeed(state.speed, 0) };
+  }
+
+  const error = wrapAngle(headingFromVector(movement.x, movement.z) - state.heading);
+  const turn = Math.max(-TURN_RATE, Math.min(TURN_RATE, error));
+  const alignment = Math.max(0, Math.cos(error - turn));
+  const speed = approachSpeed(state.speed, maxSpeed * magnitude * alignment);
+  return { heading: wrapAngle(state.heading + turn), speed: Math.min(speed, maxSpeed * magnitude) };
+};
+
+// Up/down drive forward and back along the heading, left/right rotate
+export const tankDrive = (state, movement, maxSpeed) => {
+  const forward = -movement.z;
+  const target = maxSpeed * forward * (forward < 0 ? REVERSE_SPEED_FACTOR : 1);
+  return {
+    heading: wrapAngle(state.heading - movement.x * TANK_TURN_RATE),
+    speed: approachSpeed(state.speed, target)
+  };
+};
+
+export const getVelocity = ({ heading, speed }) => {
+  const direction = headingVector(heading);
+  return { x: direction.x * speed, z: direction.z * speed };
+};
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import {
+  ACCELERATION,
+  DECELERATION,
+  MAX_SPEED,
+  REVERSE_SPEED_FACTOR,
+  TANK_TURN_RATE,
+  TURN_RATE,
+  getVelocity,
+  headingFromVector,
+  headingVector,
+  steerDrive,
+  tankDrive,
+  wrapAngle
+} from './kinematics';
+
+const NORTH = { x: 0, z: -1 };
+const SOUTH = { x: 0, z: 1 };
+const STILL = { x: 0, z: 0 };
+
+// Drives `ticks` ticks with the same input and returns the final state
+const driveFor = (drive, movement, ticks, state = { heading: 0, speed: 0 }) => {
+  let next = state;
+  for (let i = 0; i < ticks; i++) next = drive(next, movement, MAX_SPEED);
+  return next;
+};
+
+describe('heading', () => {
+  it('faces -Z at zero and turns anticlockwise seen from above', () => {
+    expect(headingVector(0).x).toBeCloseTo(0);
+    expect(headingVector(0).z).toBeCloseTo(-1);
+    expect(headingVector(Math.PI / 2).x).toBeCloseTo(-1);
+    expect(headingVector(Math.PI / 2).z).toBeCloseTo(0);
+  });
+
+  it('round-trips through a direction vector', () => {
+    [-2.5, -1, 0, 0.5, 3].forEach((heading) => {
+      const { x, z } = headingVector(heading);
+      expect(headingFromVector(x, z)).toBeCloseTo(heading);
+    });
+  });
+
+  it('wraps angles into -π to π', () => {
+    expect(wrapAngle(Math.PI / 2 + Math.PI * 4)).toBeCloseTo(Math.PI / 2);
+    expect(wrapAngle(-Math.PI / 2 - Math.PI * 2)).toBeCloseTo(-Math.PI / 2);
+    expect(Math.abs(wrapAngle(Math.PI * 3))).toBeCloseTo(Math.PI);
+  });
+
+  it('moves along the heading at the current speed', () => {
+    const velocity = getVelocity({ heading: Math.PI / 2, speed: 0.1 });
+    expect(velocity.x).toBeCloseTo(-0.1);
+    expect(velocity.z).toBeCloseTo(0);
+  });
+});
+
+describe('steerDrive', () => {
+  it('speeds up by ACCELERATION a tick and never past the top speed', () => {
+    expect(steerDrive({ heading: 0, speed: 0 }, NORTH, MAX_SPEED).speed).toBeCloseTo(ACCELERATION);
+    let state = { heading: 0, speed: 0 };
+    for (let i = 0; i < 100; i++) {
+      state = steerDrive(state, NORTH, MAX_SPEED);
+      expect(state.speed).toBeLessThanOrEqual(MAX_SPEED);
+    }
+    expect(state.speed).toBeCloseTo(MAX_SPEED);
+  });
+
+  it('drives no faster than a partly pushed stick asks for', () => {
+    expect(driveFor(steerDrive, { x: 0, z: -0.4 }, 100).speed).toBeCloseTo(MAX_SPEED * 0.4);
+  });
+
+  it('brakes at DECELERATION once the stick is let go', () => {
+    const state = steerDrive({ heading: 0, speed: MAX_SPEED }, STILL, MAX_SPEED);
+    expect(state.speed).toBeCloseTo(MAX_SPEED - DECELERATION);
+    expect(state.heading).toBe(0);
+    expect(driveFor(steerDrive, STILL, 100, state).speed).toBe(0);
+  });
+
+  it('turns toward the stick at up to TURN_RATE a tick, and waits to drive until facing it', () => {
+    const first = steerDrive({ heading: 0, speed: 0 }, SOUTH, MAX_SPEED);
+    expect(Math.abs(first.heading)).toBeCloseTo(TURN_RATE);
+    expect(first.speed).toBe(0);
+
+    const turned = driveFor(steerDrive, SOUTH, 100);
+    expect(Math.abs(turned.heading)).toBeCloseTo(Math.PI);
+    expect(getVelocity(turned).z).toBeCloseTo(MAX_SPEED);
+  });
+});
+
+describe('tankDrive', () => {
+  it('accelerates forward to the top speed', () => {
+    expect(tankDrive({ heading: 0, speed: 0 }, NORTH, MAX_SPEED).speed).toBeCloseTo(ACCELERATION);
+    expect(driveFor(tankDrive, NORTH, 100).speed).toBeCloseTo(MAX_SPEED);
+  });
+
+  it('reverses at a reduced speed', () => {
+    expect(driveFor(tankDrive, SOUTH, 100).speed).toBeCloseTo(-MAX_SPEED * REVERSE_SPEED_FACTOR);
+  });
+
+  it('brakes at DECELERATION when backing out of forward travel', () => {
+    expect(tankDrive({ heading: 0, speed: MAX_SPEED }, SOUTH, MAX_SPEED).speed).toBeCloseTo(MAX_SPEED - DECELERATION);
+  });
+
+  it('rotates by TANK_TURN_RATE a tick while a turn is held, even standing still', () => {
+    const right = tankDrive({ heading: 0, speed: 0 }, { x: 1, z: 0 }, MAX_SPEED);
+    expect(right.heading).toBeCloseTo(-TANK_TURN_RATE);
+    expect(right.speed).toBeCloseTo(0);
+    expect(tankDrive({ heading: 0, speed: 0 }, { x: -1, z: 0 }, MAX_SPEED).heading).toBeCloseTo(TANK_TURN_RATE);
+  });
+});
@@ -0,0 +1,104 @@
+// Mess simulation for maintenance cleaning. Every soil tick cleaned cells pick
+// up a little dirt again, back towards how dirty they were to begin with, and
+// each of the level's mess events may drop a fresh mess (oil drips, leaf
+// litter, tyre marks) somewhere in its area.
+import { cellKey, getSurfaceAt, parseCellKey } from '../levels/levelRules.js';
+import { MAX_DIRT } from './dirt.js';
+
+// Simulation ticks between soil ticks: one a second
+export const SOIL_TICK_INTERVAL = 60;
+
+// `rate` is the dirt a cell of dirtiness 1 picks up per soil tick (once a
+// second, not every simulation tick); each event's `chance` is per soil tick too
+export const DEFAULT_SOILING = { rate: 0.03, events: [] };
+
+const randomBetween = (random, min, max) => min + random() * (max - min);
+
+// A random point in an event's area: either a rect or a circle around a position
+const randomPointIn = (event, random) => {
+  if (event.rect) {
+    const { minX, maxX, minZ, maxZ } = event.rect;
+    return [randomBetween(random, minX, maxX), randomBetween(random, minZ, maxZ)];
+  }
+  const angle = random() * Math.PI * 2;
+  const distance = Math.sqrt(random()) * event.radius;
+  return [event.position[0] + Math.cos(angle) * distance, event.position[1] + Math.sin(angle) * distance];
+};
+
+// A puddle that thins out towards its edge
+const depositBlob = (event, random, deposit) => {
+  const [x, z] = randomPointIn(event, random);
+  const spread = event.spread !== undefined ? event.spread : 1;
+  for (let dx = -Math.ceil(spread); dx <= spread; dx++) {
+    for (let dz = -Math.ceil(spread); dz <= spread; dz++) {
+      const distance = Math.hypot(dx, dz);
+      if (distance <= spread) {
+        deposit(x + dx, z + dz, event.amount * (1 - distance / (spread + 1)));
+      }
+    }
+  }
+};
+
+// A handful of loose patches scattered over the area
+const depositScatter = (event, random, deposit) => {
+  const count = event.count !== undefined ? event.count : 4;
+  for (let i = 0; i < count; i++) {
+    const [x, z] = randomPointIn(event, random);
+    deposit(x, z, event.amount * randomBetween(random, 0.5, 1));
+  }
+};
+
+// Two parallel tracks running along x, like a car pulling through
+const depositStreak = (event, random, deposit) => {
+  const [x, z] = randomPointIn(event, random);
+  const length = event.length !== undefined ? event.length : 5;
+  const direction = random() < 0.5 ? -1 : 1;
+  for (let i = 0; i < length; i++) {
+    deposit(x + i * direction, z, event.amount);
+    deposit(x + i * direction, z + 2, event.amount);
+  }
+};
+
+export const MESS_SHAPES = {
+  oilDrip: depositBlob,
+  leafLitter: depositScatter,
+  tyreMarks: depositStreak
+};
+
+// One soil tick. `startingDirt` is each cell's seeded dirt, which steady
+// soiling never takes it past; messes can. Returns the new dirt level of every
+// cell that changed plus the messes that were spawned; `dirtLevels` itself is
+// left untouched.
+export const soilTick = (level, dirtLevels, random, startingDirt) => {
+  const soiling = { ...DEFAULT_SOILING, ...level.soiling };
+  const changes = new Map();
+  const current = (key) => (changes.has(key) ? changes.get(key) : dirtLevels.get(key));
+
+  if (soiling.rate > 0) {
+    dirtLevels.forEach((value, key) => {
+      const ceiling = Math.min(MAX_DIRT, startingDirt.has(key) ? startingDirt.get(key) : MAX_DIRT);
+      if (value >= ceiling) return;
+      const { x, z } = parseCellKey(key);
+      const surface = getSurfaceAt(level, x, z);
+      const dirtiness = surface && surface.dirtiness !== undefined ? surface.dirtiness : 1;
+      changes.set(key, Math.min(ceiling, value + soiling.rate * dirtiness));
+    });
+  }
+
+  const messes = [];
+  soiling.events.forEach(event => {
+    if (random() >= event.chance) return;
+    const cells = new Set();
+    // Messes only land on cleanable cells, never under obstacles or off the paving
+    const deposit = (x, z, amount) => {
+      const key = cellKey(x, z);
+      if (!dirtLevels.has(key)) return;
+      changes.set(key, Math.min(MAX_DIRT, current(key) + amount));
+      cells.add(key);
+    };
+    (MESS_SHAPES[event.kind] || depositBlob)(event, random, deposit);
+    if (cells.size > 0) messes.push({ kind: event.kind, cells: Array.from(cells) });
+  });
+
+  return { changes, messes };
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { getLevel } from '../levels';
+import { createRandom, seedDirt } from './dirt';
+import { soilTick } from './messes';
+
+// Never rolls a mess
+const noMesses = () => 1;
+
+describe('soilTick', () => {
+  const level = { ...getLevel('parkingLot'), soiling: { rate: 2, events: [] } };
+  const startingDirt = seedDirt(level);
+  const [cleaned, untouched] = Array.from(startingDirt.keys());
+
+  it('re-soils cleaned cells and leaves untouched ones alone', () => {
+    const dirt = new Map(startingDirt).set(cleaned, 0);
+    const { changes } = soilTick(level, dirt, noMesses, startingDirt);
+    expect(changes.get(cleaned)).toBeGreaterThan(0);
+    expect(changes.has(untouched)).toBe(false);
+  });
+
+  it('never soils a cell past how dirty it started', () => {
+    let dirt = new Map(startingDirt).set(cleaned, 0);
+    for (let i = 0; i < 500; i++) {
+      soilTick(level, dirt, noMesses, startingDirt).changes.forEach((value, key) => {
+        dirt = new Map(dirt).set(key, value);
+      });
+    }
+    expect(dirt.get(cleaned)).toBe(startingDirt.get(cleaned));
+  });
+
+  it('lets messes land on top of the starting dirt', () => {
+    const messy = {
+      ...level,
+      soiling: { rate: 0, events: [{ kind: 'oilDrip', position: [0, -15], radius: 1, amount: 40, chance: 1 }] }
+    };
+    const { changes, messes } = soilTick(messy, startingDirt, createRandom(1), startingDirt);
+    expect(messes).toHaveLength(1);
+    messes[0].cells.forEach((key) => {
+      expect(changes.get(key)).toBeGreaterThan(startingDirt.get(key));
+    });
+  });
+});
@@ -0,0 +1,44 @@
+// The minimap's drawing rules: how a level's grid maps onto a small 2D
+// canvas and the colour each cell is painted. North (-Z) is up, matching the
+// top-down camera, and each cell is drawn as the square centred on it.
+import { DIRT_SHADES } from './dirt.js';
+import { clampToBounds } from '../levels/levelRules.js';
+
+export const CLEANED_COLOR = '#4caf50';
+export const OPEN_COLOR = '#37474f';
+export const BLOCKED_COLOR = '#90a4ae';
+export const ROBOT_COLOR = '#ffeb3b';
+
+// Dirt shades run from a light film to thick grime, like the 3D overlay
+const LIGHT_DIRT = [0xa1, 0x88, 0x7f];
+const HEAVY_DIRT = [0x4e, 0x34, 0x2e];
+
+const toHex = (channels) => `#${channels.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+// `shade` is 0 for a clean cell, otherwise 1..DIRT_SHADES (see dirt.js)
+export const getMinimapCellColor = (shade) => {
+  if (shade === 0) return CLEANED_COLOR;
+  const t = (shade - 1) / (DIRT_SHADES - 1);
+  return toHex(LIGHT_DIRT.map((light, i) => light + (HEAVY_DIRT[i] - light) * t));
+};
+
+// Fits `bounds` (plus half a cell all round) into a `maxSize` pixel square,
+// keeping its proportions
+export const createMinimapLayout = (bounds, maxSize) => {
+  const minX = bounds.minX - 0.5;
+  const minZ = bounds.minZ - 0.5;
+  const spanX = bounds.maxX - bounds.minX + 1;
+  const spanZ = bounds.maxZ - bounds.minZ + 1;
+  const scale = maxSize / Math.max(spanX, spanZ);
+
+  return {
+    scale,
+    width: Math.round(spanX * scale),
+    height: Math.round(spanZ * scale),
+
+    toMap: (x, z) => ({ x: (x - minX) * scale, y: (z - minZ) * scale }),
+
+    // The world point under a pixel of the map, held inside the bounds
+    toWorld: (px, py) => clampToBounds(bounds, minX + px / scale, minZ + py / scale)
+  };
+};
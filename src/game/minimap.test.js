@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { getLevel } from '../levels';
+import { DIRT_SHADES } from './dirt';
+import { CLEANED_COLOR, createMinimapLayout, getMinimapCellColor } from './minimap';
+
+const brightness = (color) =>
+  [1, 3, 5].reduce((sum, i) => sum + parseInt(color.slice(i, i + 2), 16), 0);
+
+describe('createMinimapLayout', () => {
+  const bounds = { minX: -5, maxX: 5, minZ: -10, maxZ: 9 };
+
+  it('fits the longest side and keeps the proportions', () => {
+    const layout = createMinimapLayout(bounds, 200);
+    expect(layout.height).toBe(200);
+    expect(layout.width).toBe(Math.round(11 * (200 / 20)));
+    expect(layout.scale).toBe(10);
+  });
+
+  it('puts each cell centre in the middle of its square, north up', () => {
+    const layout = createMinimapLayout(bounds, 200);
+    expect(layout.toMap(-5, -10)).toEqual({ x: 5, y: 5 });
+    expect(layout.toMap(5, 9).y).toBeGreaterThan(layout.toMap(5, -10).y);
+  });
+
+  it('turns map pixels back into world points inside the bounds', () => {
+    const layout = createMinimapLayout(bounds, 200);
+    const { x, y } = layout.toMap(2, -3);
+    expect(layout.toWorld(x, y)).toEqual({ x: 2, z: -3 });
+    expect(layout.toWorld(0, 0)).toEqual({ x: -5, z: -10 });
+    expect(layout.toWorld(layout.width, layout.height)).toEqual({ x: 5, z: 9 });
+  });
+
+  it('lays out every level inside the map', () => {
+    const layout = createMinimapLayout(getLevel('parkingLot').bounds, 120);
+    expect(Math.max(layout.width, layout.height)).toBe(120);
+  });
+});
+
+describe('getMinimapCellColor', () => {
+  it('paints clean cells green', () => {
+    expect(getMinimapCellColor(0)).toBe(CLEANED_COLOR);
+  });
+
+  it('darkens as the dirt builds up', () => {
+    const colors = Array.from({ length: DIRT_SHADES }, (_, i) => getMinimapCellColor(i + 1));
+    colors.slice(1).forEach((color, i) => {
+      expect(color).toMatch(/^#[0-9a-f]{6}$/);
+      expect(brightness(color)).toBeLessThan(brightness(colors[i]));
+    });
+  });
+});
@@ -0,0 +1,138 @@
+// Shortest paths on the cell grid. LavoBot may drive over any cell inside the
+// level bounds where it fits; moves are 4-connected and each one is checked
+// along its length, so every leg of a path is clear of colliders.
+import { cellKey, isBlocked } from '../levels/levelRules.js';
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+export const isTraversable = (level, x, z) => {
+  const { bounds } = level;
+  return x >= bounds.minX && x <= bounds.maxX &&
+         z >= bounds.minZ && z <= bounds.maxZ &&
+         !isBlocked(level, x, z);
+};
+
+// Points along a one-cell move that must be clear too, so a thin collider
+// between two open cells (a dock post, a tap) still blocks the move
+const STEP_SAMPLES = [0.25, 0.5, 0.75];
+
+export const canStep = (level, x, z, nx, nz) =>
+  STEP_SAMPLES.every(t => !isBlocked(level, x + (nx - x) * t, z + (nz - z) * t));
+
+// The cell a continuous position belongs to, nudged off obstacle edges if needed
+export const nearestOpenCell = (level, x, z) => {
+  const cx = Math.round(x);
+  const cz = Math.round(z);
+  if (isTraversable(level, cx, cz)) return [cx, cz];
+
+  for (let radius = 1; radius <= 3; radius++) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        if (!isTraversable(level, cx + dx, cz + dz)) continue;
+        const distance = Math.hypot(cx + dx - x, cz + dz - z);
+        if (distance < bestDistance) {
+          best = [cx + dx, cz + dz];
+          bestDistance = distance;
+        }
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+};
+
+// Minimal binary heap keyed on f-score
+const pushNode = (heap, node) => {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= heap[i].f) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+};
+
+const popNode = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+      if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+};
+
+// A* from one cell to another. Returns the list of [x, z] cells including both
+// ends, or null when the goal cannot be reached. `isOpen` can veto extra cells.
+export const findPath = (level, start, goal, isOpen = () => true) => {
+  const [startX, startZ] = start;
+  const [goalX, goalZ] = goal;
+  const passable = (x, z) => isTraversable(level, x, z) && isOpen(x, z);
+  if (!passable(startX, startZ) || !passable(goalX, goalZ)) return null;
+
+  const heuristic = (x, z) => Math.abs(x - goalX) + Math.abs(z - goalZ);
+  const startKey = cellKey(startX, startZ);
+  const cameFrom = new Map();
+  const costs = new Map([[startKey, 0]]);
+  const heap = [];
+  pushNode(heap, { x: startX, z: startZ, f: heuristic(startX, startZ) });
+
+  while (heap.length > 0) {
+    const { x, z } = popNode(heap);
+    const key = cellKey(x, z);
+    if (x === goalX && z === goalZ) {
+      const path = [[x, z]];
+      let current = key;
+      while (cameFrom.has(current)) {
+        current = cameFrom.get(current);
+        const [px, pz] = current.split(',').map(Number);
+        path.unshift([px, pz]);
+      }
+      return path;
+    }
+
+    const cost = costs.get(key);
+    NEIGHBOURS.forEach(([dx, dz]) => {
+      const nx = x + dx;
+      const nz = z + dz;
+      if (!passable(nx, nz) || !canStep(level, x, z, nx, nz)) return;
+      const nextKey = cellKey(nx, nz);
+      const nextCost = cost + 1;
+      if (costs.has(nextKey) && costs.get(nextKey) <= nextCost) return;
+      costs.set(nextKey, nextCost);
+      cameFrom.set(nextKey, key);
+      pushNode(heap, { x: nx, z: nz, f: nextCost + heuristic(nx, nz) });
+    });
+  }
+
+  return null;
+};
+
+// Drops the intermediate cells of straight runs so a path is just its corners
+export const simplifyPath = (path) => {
+  if (path.length <= 2) return path;
+  const corners = [path[0]];
+  for (let i = 1; i < path.length - 1; i++) {
+    const [px, pz] = corners[corners.length - 1];
+    const [x, z] = path[i];
+    const [nx, nz] = path[i + 1];
+    const sameDirection = Math.sign(x - px) === Math.sign(nx - x) &&
+                          Math.sign(z - pz) === Math.sign(nz - z);
+    if (!sameDirection) corners.push(path[i]);
+  }
+  corners.push(path[path.length - 1]);
+  return corners;
+};
@@ -0,0 +1,31 @@
+// Turns a list of waypoints into the same movement vector the keyboard produces,
+// so autonomous driving goes through exactly the same rules as manual driving.
+
+const ARRIVAL_EPSILON = 1e-3;
+
+// Movement (each axis in [-1, 1]) that moves `speed` units toward the target,
+// scaled down on the last step so the robot lands on it instead of overshooting
+export const steerTowards = (position, target, speed) => {
+  const dx = target[0] - position.x;
+  const dz = target[1] - position.z;
+  const length = Math.hypot(dx, dz);
+  if (length < ARRIVAL_EPSILON) return { x: 0, z: 0 };
+
+  const step = Math.min(length, speed) / speed;
+  return { x: (dx / length) * step, z: (dz / length) * step };
+};
+
+// Advances past every waypoint already reached and steers toward the next one.
+// `done` is set once the last waypoint has been reached.
+export const followRoute = (route, index, position, speed) => {
+  let next = index;
+  while (next < route.length &&
+         Math.hypot(route[next][0] - position.x, route[next][1] - position.z) < ARRIVAL_EPSILON) {
+    next++;
+  }
+
+  if (next >= route.length) {
+    return { index: next, movement: { x: 0, z: 0 }, done: true };
+  }
+  return { index: next, movement: steerTowards(position, route[next], speed), done: false };
+};
@@ -0,0 +1,629 @@
+// The game itself, without React or WebGL: one LavoBot cleaning one level.
+// A simulation is stepped one fixed tick at a time (or fed frame times and
+// left to work out the ticks) and tells its subscribers what changed, so the
+// same core drives the 3D scene, runs headless in Node for batch evaluation
+// and tests, and could drive any other front end.
+//
+// Subscribers receive events of these types:
+//   stats         { stats }    partial HUD stats, only when the display changes
+//   dirt          { shades }   [[cellKey, shade]] for cells whose overlay changed
+//   route         { route }    the route being followed, or null
+//   charging      { charging } LavoBot docked or undocked
+//   station       { station }  refill station in use, or null
+//   contact       { contact }  a new bump: { collider, normal }
+//   autoCleanEnd               coverage finished or gave up
+//   challengeEnd  { run }      the challenge is over; the simulation stops
+import { planCoverage } from './coveragePlanner.js';
+import { findPath, nearestOpenCell } from './pathfinding.js';
+import { followRoute } from './routeFollower.js';
+import { MAX_SPEED, getVelocity, steerDrive, tankDrive } from './kinematics.js';
+import {
+  BATTERY_CAPACITY,
+  RETURN_TO_DOCK_CHARGE,
+  chargeBattery,
+  drainBattery,
+  getBatteryState,
+  getSpeedFactor,
+  isOnDock
+} from './battery.js';
+import {
+  TANK_CAPACITY,
+  canClean,
+  consumeFluid,
+  findRefillStation,
+  getTankState,
+  refillTank
+} from './tank.js';
+import {
+  CLEANING_RATE,
+  MAX_DIRT,
+  createRandom,
+  getDirtShade,
+  getTotalDirt,
+  hashString,
+  isClean,
+  scrubDirt,
+  seedDirt
+} from './dirt.js';
+import { SOIL_TICK_INTERVAL, soilTick } from './messes.js';
+import { DEFAULT_BRUSH, getBrushCoverage, validateBrush } from './brush.js';
+import { getTimeLeft } from './challenge.js';
+import { createRunTracker } from './analytics.js';
+import { TICK_SECONDS, createFixedClock, interpolatePose } from './clock.js';
+import { DEFAULT_CAMERA_MODE } from './cameraViews.js';
+import {
+  ROBOT_HEIGHT_OFFSET,
+  clampToBounds,
+  getRobotHeight,
+  getSurfaceAt,
+  parseCellKey
+} from '../levels/levelRules.js';
+import { resolveMovement } from '../levels/collision.js';
+import { createSession, restoreSession } from '../sessions/session.js';
+
+// Ticks a route may be stuck against an obstacle before it is planned again
+export const REPLAN_AFTER_TICKS = 15;
+
+const NO_INPUT = { x: 0, z: 0 };
+
+const sameDisplay = (last, display) =>
+  last && Object.keys(display).every(field => last[field] === display[field]);
+
+// `session` is a saved session (see sessions/session.js) to carry on from;
+// `challenge` makes it a timed run that stops when won or out of time.
+export const createSimulation = ({ level, brush = DEFAULT_BRUSH, session = null, challenge = null }) => {
+  const brushErrors = validateBrush(brush);
+  if (brushErrors.length > 0) {
+    throw new Error(`Invalid brush: ${brushErrors.join('; ')}`);
+  }
+
+  // Seeded dirt is deterministic, so a resumed session re-soils to the same levels
+  const startingDirt = seedDirt(level);
+  const resumed = restoreSession(session, level, startingDirt);
+  const listeners = new Set();
+  const clock = createFixedClock();
+
+  const [spawnX, spawnZ] = resumed ? [resumed.pose.x, resumed.pose.z] : level.spawn;
+  const spawnY = getRobotHeight(level, spawnX, spawnZ);
+  // Heading is a yaw with 0 facing -Z; speed is signed along it
+  const pose = {
+    x: spawnX,
+    y: spawnY === null ? ROBOT_HEIGHT_OFFSET : spawnY,
+    z: spawnZ,
+    heading: resumed ? resumed.pose.heading : 0
+  };
+  let previousPose = { ...pose };
+  let speed = 0;
+
+  // Live dirt levels per cell
+  const dirt = new Map(resumed ? resumed.dirtLevels : startingDirt);
+  const initialDirt = resumed ? resumed.initialDirt : getTotalDirt(dirt);
+  let remainingDirt = getTotalDirt(dirt);
+  let cleanedCount = Array.from(dirt.values()).filter(isClean).length;
+
+  // Cumulative work and the mess simulation's clock and dice. A resumed
+  // session rolls fresh dice rather than replaying the same messes.
+  let scrubbedDirt = resumed ? resumed.counters.scrubbed : 0;
+  let messCount = resumed ? resumed.counters.messes : 0;
+  let soilTicks = 0;
+  const messSeed = resumed ? `${level.id}:messes:${resumed.elapsed}` : `${level.id}:messes`;
+  const messRandom = createRandom(hashString(messSeed));
+
+  // Colliders touched last tick, so a bump is only counted when contact starts
+  let touching = new Set();
+  let collisionCount = resumed ? resumed.counters.collisions : 0;
+
+  const battery = {
+    charge: resumed && Number.isFinite(resumed.battery) ? resumed.battery : BATTERY_CAPACITY,
+    charging: false,
+    returning: false
+  };
+  const tank = {
+    level: resumed && Number.isFinite(resumed.tank) ? resumed.tank : TANK_CAPACITY,
+    refilling: false
+  };
+  let returnRequested = false;
+  let resumeAfterCharge = false;
+
+  // Run clock and odometer; a finished challenge run freezes the simulation
+  let elapsed = resumed ? resumed.elapsed : 0;
+  let distance = resumed ? resumed.distance : 0;
+  let finished = false;
+
+  // Controls
+  let movement = NO_INPUT;
+  let driveMode = 'steer';
+  let autoClean = false;
+  let autoDock = false;
+  let navGoal = null;
+  let recorder = null;
+
+  // Active route: { kind: 'coverage' | 'goto' | 'dock', points, index }
+  let route = null;
+  let stuckTicks = 0;
+
+  // What was last reported for each stat, so only changes are sent
+  const reported = {};
+
+  const emit = (event) => listeners.forEach(listener => listener(event));
+
+  // Progress is current cleanliness: the share of the starting dirt that is
+  // gone right now, so it drops again as the site re-soils. Scrubbed dirt is
+  // the cumulative work, in filthy cells' worth.
+  const getCleanliness = () => {
+    if (initialDirt === 0) return 0;
+    return Number((Math.max(0, (initialDirt - remainingDirt) / initialDirt) * 100).toFixed(1));
+  };
+
+  const progressDisplay = () => ({
+    progress: getCleanliness(),
+    cleanedTiles: cleanedCount,
+    totalTiles: dirt.size,
+    remainingTiles: dirt.size - cleanedCount,
+    dirtScrubbed: Number((scrubbedDirt / MAX_DIRT).toFixed(1)),
+    messes: messCount
+  });
+
+  const batteryDisplay = () => ({
+    charge: Math.round(battery.charge),
+    state: getBatteryState(battery.charge),
+    charging: battery.charging,
+    returning: battery.returning
+  });
+
+  const tankDisplay = () => ({
+    level: Math.round(tank.level),
+    state: getTankState(tank.level),
+    refilling: tank.refilling
+  });
+
+  const challengeDisplay = () => challenge && {
+    timeLeft: Math.ceil(getTimeLeft(challenge, elapsed)),
+    targetCleanliness: challenge.targetCleanliness,
+    finished
+  };
+
+  const runDisplay = () => ({
+    elapsed: Math.floor(elapsed),
+    distance: Math.round(distance)
+  });
+
+  const reportStat = (key, display) => {
+    if (sameDisplay(reported[key], display)) return;
+    reported[key] = display;
+    emit({ type: 'stats', stats: { [key]: display } });
+  };
+
+  // Progress stats are flat in the HUD's stats rather than nested under a key
+  const reportProgress = () => {
+    if (dirt.size === 0 || initialDirt === 0) return;
+    const display = progressDisplay();
+    if (sameDisplay(reported.progress, display)) return;
+    reported.progress = display;
+    emit({ type: 'stats', stats: display });
+  };
+
+  // Writes new dirt levels and keeps the totals and overlay shades in step.
+  // Returns the overlay changes, [[cellKey, shade]].
+  const applyDirtChanges = (changes) => {
+    const shades = [];
+    changes.forEach((value, key) => {
+      const previous = dirt.get(key);
+      dirt.set(key, value);
+      remainingDirt += value - previous;
+      if (isClean(value) !== isClean(previous)) {
+        cleanedCount += isClean(value) ? 1 : -1;
+      }
+      const shade = getDirtShade(value);
+      if (shade !== getDirtShade(previous)) shades.push([key, shade]);
+    });
+    if (shades.length > 0) emit({ type: 'dirt', shades });
+    return shades;
+  };
+
+  const remainingDirtyCells = () => {
+    const cells = new Set();
+    dirt.forEach((value, key) => {
+      if (!isClean(value)) cells.add(key);
+    });
+    return cells;
+  };
+
+  // Per-cell passes, path and idle time and a progress timeline for the
+  // analytics report
+  const tracker = createRunTracker({
+    cells: dirt.keys(),
+    getSnapshot: () => ({
+      time: Number(elapsed.toFixed(2)),
+      cleanliness: getCleanliness(),
+      cleanedTiles: cleanedCount,
+      dirtScrubbed: Number((scrubbedDirt / MAX_DIRT).toFixed(2))
+    })
+  });
+
+  const setRoute = (next) => {
+    route = next;
+    emit({ type: 'route', route: next && { ...next } });
+  };
+
+  const planRoute = (kind) => {
+    if (kind === 'coverage') {
+      // Nothing dirty plans a route that never leaves the spot, which is no route
+      const dirtyCells = remainingDirtyCells();
+      const points = dirtyCells.size > 0 && planCoverage(level, dirtyCells, pose.x, pose.z);
+      return points && points.length > 1 ? points : null;
+    }
+    const start = nearestOpenCell(level, pose.x, pose.z);
+    if (kind === 'dock') {
+      const dock = nearestOpenCell(level, level.dock.position[0], level.dock.position[1]);
+      return start && dock && findPath(level, start, dock);
+    }
+    return start && navGoal && findPath(level, start, navGoal);
+  };
+
+  // Gives up on the current trip home, so a low battery can send LavoBot back again
+  const cancelReturn = () => {
+    returnRequested = false;
+    resumeAfterCharge = false;
+  };
+
+  const startRoute = (kind) => {
+    const points = planRoute(kind);
+    // The trip home is over once another route replaces it or home is out of reach
+    if (kind === 'dock' ? !points : route && route.kind === 'dock') cancelReturn();
+    if (!points) {
+      setRoute(null);
+      return false;
+    }
+    stuckTicks = 0;
+    setRoute({ kind, points, index: 0 });
+    return true;
+  };
+
+  const clearRoute = (kind) => {
+    if (route && route.kind === kind) setRoute(null);
+  };
+
+  const endAutoClean = () => emit({ type: 'autoCleanEnd' });
+
+  const finishChallenge = () => {
+    finished = true;
+    navGoal = null;
+    speed = 0;
+    setRoute(null);
+    reportStat('challenge', challengeDisplay());
+    emit({
+      type: 'challengeEnd',
+      run: {
+        cleanliness: getCleanliness(),
+        elapsed,
+        distance,
+        collisions: collisionCount,
+        totalTiles: dirt.size,
+        brushWidth: brush.width
+      }
+    });
+  };
+
+  // Battery bookkeeping for one tick, including the optional trip home
+  const updateBattery = (moved, scrubbedCells) => {
+    const onDock = isOnDock(level.dock, pose.x, pose.z);
+
+    battery.charge = drainBattery(battery.charge, moved, scrubbedCells);
+    if (onDock) {
+      battery.charge = chargeBattery(battery.charge);
+    }
+    if (onDock !== battery.charging) {
+      battery.charging = onDock;
+      emit({ type: 'charging', charging: onDock });
+    }
+
+    // Driving by hand or to a clicked spot comes first; home is next once that is done
+    const overridden = movement.x !== 0 || movement.z !== 0 || Boolean(route && route.kind === 'goto');
+    if (autoDock && level.dock && !onDock && !returnRequested && !overridden &&
+        battery.charge < RETURN_TO_DOCK_CHARGE) {
+      returnRequested = true;
+      resumeAfterCharge = autoClean;
+      startRoute('dock');
+    }
+
+    // Topped up: allow another trip home later and pick Auto Clean back up
+    if (returnRequested && battery.charge >= BATTERY_CAPACITY) {
+      returnRequested = false;
+      if (resumeAfterCharge && autoClean && !startRoute('coverage')) {
+        endAutoClean();
+      }
+      resumeAfterCharge = false;
+    }
+
+    battery.returning = Boolean(route && route.kind === 'dock');
+    reportStat('battery', batteryDisplay());
+  };
+
+  // Tank bookkeeping for one tick: pay for the dirt scrubbed off, top up at a station
+  const updateTank = (scrubbed) => {
+    scrubbed.forEach(({ surface, removed }) => {
+      tank.level = consumeFluid(tank.level, surface, removed);
+    });
+
+    const station = findRefillStation(level.refillStations, pose.x, pose.z);
+    if (station) {
+      tank.level = refillTank(tank.level);
+    }
+    if (Boolean(station) !== tank.refilling) {
+      tank.refilling = Boolean(station);
+      emit({ type: 'station', station });
+    }
+
+    reportStat('tank', tankDisplay());
+  };
+
+  // One fixed step: driving, collisions, cleaning, battery, tank, soiling and
+  // the run clock
+  const step = () => {
+    if (finished) return;
+
+    // A flat battery throttles and finally stops the motors
+    const maxSpeed = MAX_SPEED * getSpeedFactor(battery.charge);
+
+    // Routes steer with the same movement vector the controls produce
+    let drive = movement;
+    const followed = route;
+    if (followed && maxSpeed > 0) {
+      const stepped = followRoute(followed.points, followed.index, pose, maxSpeed);
+      if (stepped.index !== followed.index) {
+        setRoute({ ...followed, index: stepped.index });
+      }
+      if (stepped.done) {
+        // Park on the last waypoint rather than coasting past it
+        speed = 0;
+        setRoute(null);
+        if (followed.kind === 'coverage') {
+          // One sweep rarely gets everything: go over what is still dirty again
+          const anotherPass = canClean(tank.level) && startRoute('coverage');
+          if (!anotherPass) endAutoClean();
+        } else if (followed.kind === 'goto') {
+          navGoal = null;
+        }
+      }
+      drive = stepped.movement;
+    } else if (followed) {
+      drive = NO_INPUT;
+    }
+
+    // Autonomous driving always steers; manual driving can use tank controls
+    const driveStep = followed || driveMode !== 'tank' ? steerDrive : tankDrive;
+    previousPose = { ...pose };
+    const driven = driveStep({ heading: pose.heading, speed }, drive, maxSpeed);
+    pose.heading = driven.heading;
+    speed = driven.speed;
+    const velocity = getVelocity(driven);
+
+    // Slide along whatever is in the way; the wheels only keep the speed that got through
+    const resolved = resolveMovement(level, pose.x + velocity.x, pose.z + velocity.z);
+    const clamped = clampToBounds(level.bounds, resolved.x, resolved.z);
+    pose.x = clamped.x;
+    pose.z = clamped.z;
+    const height = getRobotHeight(level, pose.x, pose.z);
+    if (height !== null) {
+      pose.y = height;
+    }
+    const moved = Math.hypot(pose.x - previousPose.x, pose.z - previousPose.z);
+    const intended = Math.abs(speed);
+    if (resolved.contacts.length > 0) {
+      speed = Math.sign(speed) * Math.min(intended, moved);
+    }
+    const blocked = resolved.contacts.length > 0 && moved < intended / 2;
+
+    // Count each new bump and let other systems react to it
+    const bumps = resolved.contacts.filter(contact => !touching.has(contact.collider));
+    touching = new Set(resolved.contacts.map(contact => contact.collider));
+    if (bumps.length > 0) {
+      collisionCount += bumps.length;
+      emit({ type: 'stats', stats: { collisions: collisionCount } });
+      bumps.forEach(contact => emit({ type: 'contact', contact }));
+    }
+
+    // Something is in the way of the route: plan around it from here
+    if (route && (drive.x !== 0 || drive.z !== 0)) {
+      stuckTicks = blocked ? stuckTicks + 1 : 0;
+      if (stuckTicks > REPLAN_AFTER_TICKS) {
+        const { kind } = route;
+        if (!startRoute(kind)) {
+          if (kind === 'coverage') {
+            endAutoClean();
+          } else if (kind === 'goto') {
+            navGoal = null;
+          }
+        }
+      }
+    }
+
+    // Scrub everything the brush swept over since the last tick. Without any
+    // solution left the brush only pushes the dirt around.
+    const coverage = getBrushCoverage(brush, previousPose, pose);
+    const scrubbed = [];
+    const shadeChanges = [];
+    if (canClean(tank.level)) {
+      const changes = new Map();
+      coverage.forEach((share, key) => {
+        const cellDirt = dirt.get(key);
+        if (!(cellDirt > 0)) return;
+        const result = scrubDirt(cellDirt, CLEANING_RATE * share);
+        changes.set(key, result.dirt);
+        const { x, z } = parseCellKey(key);
+        scrubbed.push({ surface: getSurfaceAt(level, x, z), removed: result.removed });
+      });
+      shadeChanges.push(...applyDirtChanges(changes));
+    }
+    const removedDirt = scrubbed.reduce((sum, cell) => sum + cell.removed, 0);
+    scrubbedDirt += removedDirt;
+
+    updateBattery(moved, removedDirt / MAX_DIRT);
+    updateTank(scrubbed);
+
+    // Meanwhile the site keeps getting dirty again
+    soilTicks += 1;
+    if (soilTicks >= SOIL_TICK_INTERVAL) {
+      soilTicks = 0;
+      const soiled = soilTick(level, dirt, messRandom, startingDirt);
+      shadeChanges.push(...applyDirtChanges(soiled.changes));
+      messCount += soiled.messes.length;
+    }
+    reportProgress();
+
+    elapsed += TICK_SECONDS;
+    distance += moved;
+    tracker.recordTick(TICK_SECONDS, moved, coverage);
+
+    if (recorder) {
+      recorder.recordTick(
+        TICK_SECONDS,
+        { x: pose.x, z: pose.z, heading: pose.heading },
+        { x: movement.x, z: movement.z, mode: driveMode, route: route ? route.kind : null },
+        shadeChanges
+      );
+    }
+
+    reportStat('run', runDisplay());
+
+    // Race the clock to the target cleanliness
+    if (challenge) {
+      reportStat('challenge', challengeDisplay());
+      if (getCleanliness() >= challenge.targetCleanliness || elapsed >= challenge.parTime) {
+        finishChallenge();
+      }
+    }
+  };
+
+  return {
+    level,
+    brush,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    step,
+
+    // Runs the ticks due after a frame of `delta` seconds and returns how many
+    advance(delta) {
+      const ticks = clock.advance(delta);
+      for (let i = 0; i < ticks && !finished; i++) step();
+      return ticks;
+    },
+
+    // Where to draw LavoBot this frame: between the last two ticks
+    getRenderPose() {
+      const t = finished ? 1 : clock.alpha;
+      return {
+        ...interpolatePose(previousPose, pose, t),
+        y: previousPose.y + (pose.y - previousPose.y) * t
+      };
+    },
+
+    // Manual driving, a unit-length (or shorter) vector on the floor. Any
+    // input takes over from click-to-navigate and the trip back to the dock.
+    setInput(input) {
+      movement = input;
+      if (input.x !== 0 || input.z !== 0) {
+        navGoal = null;
+        clearRoute('goto');
+        clearRoute('dock');
+        cancelReturn();
+      }
+    },
+
+    setDriveMode(mode) {
+      driveMode = mode;
+    },
+
+    // Plans a coverage route over whatever is still dirty when switched on
+    setAutoClean(enabled) {
+      if (enabled === autoClean) return;
+      autoClean = enabled;
+      if (enabled) {
+        navGoal = null;
+        if (!startRoute('coverage')) endAutoClean();
+      } else {
+        clearRoute('coverage');
+      }
+    },
+
+    setAutoDock(enabled) {
+      autoDock = enabled;
+    },
+
+    // Drive to a cell ([x, z]); false when it cannot be reached
+    navigateTo(goal) {
+      navGoal = goal;
+      if (startRoute('goto')) return true;
+      navGoal = null;
+      return false;
+    },
+
+    setRecorder(next) {
+      recorder = next;
+    },
+
+    // Camera mode belongs to the view, so it is passed in to be saved along
+    captureSession({ cameraMode = DEFAULT_CAMERA_MODE } = {}) {
+      return createSession({
+        levelId: level.id,
+        dirtLevels: dirt,
+        initialDirt,
+        pose,
+        elapsed,
+        distance,
+        cameraMode,
+        battery: battery.charge,
+        tank: tank.level,
+        counters: { scrubbed: scrubbedDirt, messes: messCount, collisions: collisionCount }
+      });
+    },
+
+    // Everything the HUD shows, for a subscriber that has just joined
+    getStats() {
+      return {
+        ...progressDisplay(),
+        collisions: collisionCount,
+        challenge: challengeDisplay(),
+        run: runDisplay(),
+        battery: batteryDisplay(),
+        tank: tankDisplay()
+      };
+    },
+
+    // Coverage analytics for the run so far (see analytics.js)
+    getAnalytics() {
+      return tracker.getReport(remainingDirtyCells());
+    },
+
+    getDirtShades() {
+      return new Map(Array.from(dirt, ([key, value]) => [key, getDirtShade(value)]));
+    },
+
+    getDirtLevel(key) {
+      return dirt.get(key);
+    },
+
+    getDirtLevels() {
+      return new Map(dirt);
+    },
+
+    getPose() {
+      return { ...pose };
+    },
+
+    getCleanliness,
+
+    get elapsed() {
+      return elapsed;
+    },
+
+    get finished() {
+      return finished;
+    }
+  };
+};
@@ -0,0 +1,226 @@
+import { execFileSync } from 'node:child_process';
+import { describe, expect, it } from 'vitest';
+import { LEVELS, getLevel } from '../levels';
+import { buildDirtyCells } from '../levels/levelRules';
+import { isClean } from './dirt';
+import { createSimulation } from './simulation';
+
+// Stats events carrying the progress figures, in the order they were sent
+const watchProgress = (simulation) => {
+  const reports = [];
+  simulation.subscribe((event) => {
+    if (event.type === 'stats' && 'progress' in event.stats) reports.push(event.stats);
+  });
+  return reports;
+};
+
+const driveForward = (simulation, ticks) => {
+  simulation.setInput({ x: 0, z: -1 });
+  for (let i = 0; i < ticks; i++) simulation.step();
+};
+
+const totalDirt = (simulation, keys) =>
+  keys.reduce((sum, key) => sum + simulation.getDirtLevel(key), 0);
+
+describe('progress stats', () => {
+  it('starts with every dirty cell left to clean', () => {
+    const level = getLevel('parkingLot');
+    const stats = createSimulation({ level }).getStats();
+    const cells = buildDirtyCells(level).size;
+    expect(stats.progress).toBe(0);
+    expect(stats.totalTiles).toBe(cells);
+    expect(stats.cleanedTiles).toBe(0);
+    expect(stats.remainingTiles).toBe(cells);
+  });
+
+  it('reports remaining tiles as total minus cleaned', () => {
+    const simulation = createSimulation({ level: getLevel('parkingLot') });
+    const reports = watchProgress(simulation);
+    driveForward(simulation, 600);
+
+    expect(reports.length).toBeGreaterThan(0);
+    reports.forEach(({ cleanedTiles, totalTiles, remainingTiles }) => {
+      expect(remainingTiles).toBe(totalTiles - cleanedTiles);
+    });
+    const last = reports[reports.length - 1];
+    expect(last.cleanedTiles).toBeGreaterThan(0);
+  });
+
+  it('reports progress as the share of the starting dirt removed', () => {
+    const level = getLevel('parkingLot');
+    const simulation = createSimulation({ level });
+    const keys = Array.from(buildDirtyCells(level));
+    const startDirt = totalDirt(simulation, keys);
+    const reports = watchProgress(simulation);
+    // Down the lot, before re-soiling catches up with a robot parked at the far edge
+    driveForward(simulation, 150);
+
+    const last = reports[reports.length - 1];
+    const expected = Number((((startDirt - totalDirt(simulation, keys)) / startDirt) * 100).toFixed(1));
+    expect(last.progress).toBeGreaterThan(0);
+    expect(last.progress).toBeCloseTo(expected, 1);
+    expect(last.cleanedTiles).toBe(keys.filter(key => isClean(simulation.getDirtLevel(key))).length);
+    expect(simulation.getStats()).toMatchObject(last);
+  });
+
+  it('only sends progress when it changes', () => {
+    const simulation = createSimulation({ level: getLevel('parkingGarage') });
+    const reports = watchProgress(simulation);
+    for (let i = 0; i < 120; i++) simulation.step();
+    const idle = reports.length;
+    reports.slice(1).forEach((stats, i) => {
+      expect(stats).not.toEqual(reports[i]);
+    });
+    expect(idle).toBeLessThan(120);
+  });
+});
+
+describe('run analytics', () => {
+  it('tracks the drive and the cells it went over', () => {
+    const level = getLevel('parkingLot');
+    const simulation = createSimulation({ level });
+    driveForward(simulation, 150);
+    for (let i = 0; i < 60; i++) {
+      simulation.setInput({ x: 0, z: 0 });
+      simulation.step();
+    }
+
+    const report = simulation.getAnalytics();
+    expect(report.totalCells).toBe(buildDirtyCells(level).size);
+    expect(report.visitedCells).toBeGreaterThan(0);
+    expect(report.pathLength).toBeCloseTo(simulation.getStats().run.distance, 0);
+    expect(report.idleTime).toBeGreaterThan(0);
+    expect(report.timeline[0].time).toBe(0);
+    expect(report.timeline[report.timeline.length - 1].time).toBeCloseTo(simulation.elapsed, 1);
+    const missed = report.missedRegions.reduce((sum, region) => sum + region.size, 0);
+    expect(missed).toBe(report.totalCells - simulation.getStats().cleanedTiles);
+  });
+});
+
+describe('auto clean', () => {
+  // A site that stays clean once it is: no re-soiling and no messes
+  const withoutSoiling = (id) => ({ ...getLevel(id), soiling: { rate: 0, events: [] } });
+
+  const watchAutoCleanEnd = (simulation) => {
+    const ends = [];
+    simulation.subscribe((event) => {
+      if (event.type === 'autoCleanEnd') ends.push(simulation.elapsed);
+    });
+    return ends;
+  };
+
+  it('ends when nothing is left dirty', () => {
+    const level = withoutSoiling('driveway');
+    const simulation = createSimulation({ level });
+    const ends = watchAutoCleanEnd(simulation);
+    simulation.setAutoClean(true);
+    for (let i = 0; i < 60 * 600 && ends.length === 0; i++) simulation.step();
+
+    expect(ends).toHaveLength(1);
+    expect(simulation.getStats().remainingTiles).toBe(0);
+    const routes = [];
+    simulation.subscribe(event => event.type === 'route' && routes.push(event.route));
+    for (let i = 0; i < 600; i++) simulation.step();
+    expect(routes.filter(Boolean)).toEqual([]);
+  });
+
+  it('ends straight away on a site that is already clean', () => {
+    const level = withoutSoiling('driveway');
+    const session = createSimulation({ level }).captureSession();
+    Object.keys(session.dirt).forEach((key) => {
+      session.dirt[key] = 0;
+    });
+    const simulation = createSimulation({ level, session });
+    const ends = watchAutoCleanEnd(simulation);
+    simulation.setAutoClean(true);
+    expect(ends).toHaveLength(1);
+  });
+});
+
+describe('maintenance cleaning', () => {
+  // Auto Clean, heading home to charge when it must, against the shipped soiling
+  const cleanlinessAfter = (simulation, seconds) => {
+    for (let i = 0; i < seconds * 60; i++) simulation.step();
+    return simulation.getCleanliness();
+  };
+
+  it('makes net progress on every site despite re-soiling and messes', () => {
+    LEVELS.forEach((level) => {
+      const simulation = createSimulation({ level });
+      simulation.setAutoDock(true);
+      simulation.setAutoClean(true);
+      const early = cleanlinessAfter(simulation, 60);
+      const later = cleanlinessAfter(simulation, 60);
+      expect(early).toBeGreaterThan(0);
+      expect(later).toBeGreaterThan(early);
+      expect(later).toBeGreaterThan(30);
+    });
+  });
+});
+
+describe('headless', () => {
+  it('runs in plain Node, without a bundler', () => {
+    // By absolute URL, so it does not matter where the test run was started
+    const moduleUrl = path => JSON.stringify(new URL(path, import.meta.url).href);
+    const script = [
+      `const { createSimulation } = await import(${moduleUrl('./simulation.js')});`,
+      `const { getLevel } = await import(${moduleUrl('../levels/index.js')});`,
+      "const simulation = createSimulation({ level: getLevel('driveway') });",
+      'simulation.setAutoClean(true);',
+      'for (let i = 0; i < 600; i++) simulation.step();',
+      'console.log(simulation.getCleanliness());'
+    ].join('\n');
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8' });
+    expect(Number(output)).toBeGreaterThan(0);
+  });
+});
+
+describe('auto dock', () => {
+  // Parked in the open lane east of the driveway's pool, with the battery low
+  // enough to send LavoBot home but not yet throttled
+  const nearlyFlat = () => {
+    const level = getLevel('driveway');
+    const session = createSimulation({ level }).captureSession();
+    session.battery = 20.6;
+    session.pose = { x: 8, z: 7, heading: 0 };
+    const simulation = createSimulation({ level, session });
+    simulation.setAutoDock(true);
+    simulation.step();
+    return simulation;
+  };
+
+  const isReturning = simulation => simulation.getStats().battery.returning;
+
+  const stepUntil = (simulation, done) => {
+    for (let i = 0; i < 6000 && !done(); i++) simulation.step();
+  };
+
+  it('heads home again after the trip home was overridden', () => {
+    const simulation = nearlyFlat();
+    expect(isReturning(simulation)).toBe(true);
+
+    // Steer away, then keep driving by hand until the battery runs low
+    simulation.setInput({ x: 0, z: -1 });
+    simulation.step();
+    expect(isReturning(simulation)).toBe(false);
+    stepUntil(simulation, () => simulation.getStats().battery.state === 'low');
+    expect(simulation.getStats().battery.state).toBe('low');
+    expect(isReturning(simulation)).toBe(false);
+
+    simulation.setInput({ x: 0, z: 0 });
+    simulation.step();
+    expect(isReturning(simulation)).toBe(true);
+  });
+
+  it('heads home once a clicked destination is reached', () => {
+    const simulation = nearlyFlat();
+    expect(simulation.navigateTo([8, -4])).toBe(true);
+    simulation.step();
+    expect(isReturning(simulation)).toBe(false);
+
+    stepUntil(simulation, () => isReturning(simulation));
+    expect(isReturning(simulation)).toBe(true);
+    const { x, z } = simulation.getPose();
+    expect(Math.hypot(x - 8, z + 4)).toBeLessThan(0.5);
+  });
+});
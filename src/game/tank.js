@@ -0,0 +1,36 @@
+// LavoBot's cleaning-solution tank. Level is a percentage of a full tank; fluid
+// is used in proportion to the dirt scrubbed off and how dirty the surface type is.
+import { MAX_DIRT } from './dirt.js';
+
+export const TANK_CAPACITY = 100;
+
+// Fluid used to scrub a completely filthy cell of a plain driveway clean
+export const FLUID_PER_CELL = 0.2;
+export const REFILL_PER_TICK = 1;
+
+// How close to a refill station LavoBot has to park for the hose to reach
+export const REFILL_RADIUS = 1;
+
+export const LOW_TANK = 15;
+
+export const getFluidCost = (surface, dirtRemoved = MAX_DIRT) =>
+  FLUID_PER_CELL * (dirtRemoved / MAX_DIRT) *
+  (surface && surface.dirtiness !== undefined ? surface.dirtiness : 1);
+
+// A cell can only be cleaned while there is any fluid left at all
+export const canClean = (tankLevel) => tankLevel > 0;
+
+export const consumeFluid = (tankLevel, surface, dirtRemoved) =>
+  Math.max(0, tankLevel - getFluidCost(surface, dirtRemoved));
+
+export const refillTank = (tankLevel) => Math.min(TANK_CAPACITY, tankLevel + REFILL_PER_TICK);
+
+export const getTankState = (tankLevel) => {
+  if (tankLevel <= 0) return 'empty';
+  if (tankLevel <= LOW_TANK) return 'low';
+  return 'ok';
+};
+
+export const findRefillStation = (stations, x, z) =>
+  (stations || []).find(station =>
+    Math.hypot(x - station.position[0], z - station.position[1]) <= REFILL_RADIUS) || null;
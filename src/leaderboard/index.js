@@ -0,0 +1,12 @@
+// Every leaderboard store implements the same two async methods:
+//   getEntries(levelId, mode)          -> ranked entries for that board
+//   submitEntry(levelId, mode, entry)  -> the board's ranked entries afterwards
+// Set VITE_LEADERBOARD_URL to share boards through a server; otherwise they
+// stay in this browser.
+import { createLocalStorageStore } from './localStorageStore';
+import { createRestStore } from './restStore';
+
+export { GAME_MODES, MAX_ENTRIES, MAX_NAME_LENGTH } from './rankings';
+
+export const createLeaderboardStore = (serverUrl = import.meta.env.VITE_LEADERBOARD_URL) =>
+  (serverUrl ? createRestStore(serverUrl) : createLocalStorageStore());
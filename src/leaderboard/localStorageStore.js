@@ -0,0 +1,33 @@
+// Leaderboards kept in the browser's localStorage, one JSON blob for all boards.
+import { boardKey, normalizeEntry, rankEntries } from './rankings';
+import { getBrowserStorage } from '../browserStorage';
+
+export const STORAGE_KEY = 'lavobot.leaderboards';
+
+export const createLocalStorageStore = (storage = getBrowserStorage(), key = STORAGE_KEY) => {
+  // A corrupt or missing blob just means no scores yet
+  const readBoards = () => {
+    try {
+      const boards = JSON.parse(storage.getItem(key));
+      return boards && typeof boards === 'object' ? boards : {};
+    } catch (error) {
+      return {};
+    }
+  };
+
+  return {
+    async getEntries(levelId, mode) {
+      return readBoards()[boardKey(levelId, mode)] || [];
+    },
+
+    async submitEntry(levelId, mode, entry) {
+      const normalized = normalizeEntry(entry);
+      if (!normalized) throw new Error('Leaderboard entries need a name, score, time and progress');
+      const boards = readBoards();
+      const board = boardKey(levelId, mode);
+      boards[board] = rankEntries([...(boards[board] || []), normalized]);
+      storage.setItem(key, JSON.stringify(boards));
+      return boards[board];
+    }
+  };
+};
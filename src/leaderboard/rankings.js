@@ -0,0 +1,42 @@
+// Leaderboard entries and how they are ranked. Shared by the browser stores and
+// the Node server, so this file must not import anything.
+//
+// An entry is { name, score, time, progress, date }: time in seconds, progress
+// the cleanliness percentage reached and date an ISO timestamp.
+
+export const MAX_ENTRIES = 10;
+export const MAX_NAME_LENGTH = 24;
+
+export const GAME_MODES = {
+  free: 'Free Play',
+  challenge: 'Challenge'
+};
+
+// Best score first; a faster run wins a tie
+export const compareEntries = (a, b) => b.score - a.score || a.time - b.time;
+
+export const rankEntries = (entries) => [...entries].sort(compareEntries).slice(0, MAX_ENTRIES);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a cleaned-up entry, or null when the submission is unusable
+export const normalizeEntry = (entry) => {
+  if (!entry || typeof entry.name !== 'string' || !isNumber(entry.score) ||
+      !isNumber(entry.time) || !isNumber(entry.progress)) {
+    return null;
+  }
+  const name = entry.name.trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) return null;
+  return {
+    name,
+    score: Math.round(entry.score),
+    time: Math.round(entry.time * 10) / 10,
+    progress: entry.progress,
+    date: typeof entry.date === 'string' ? entry.date : new Date().toISOString()
+  };
+};
+
+export const isGameMode = (mode) => Object.prototype.hasOwnProperty.call(GAME_MODES, mode);
+
+// Key a board is stored under
+export const boardKey = (levelId, mode) => `${levelId}/${mode}`;
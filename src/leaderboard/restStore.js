@@ -0,0 +1,29 @@
+// Leaderboards shared through an HTTP backend such as server/leaderboardServer.js.
+// GET and POST /leaderboards/:levelId/:mode both answer with the ranked entries.
+
+const request = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`Leaderboard server answered ${response.status}`);
+  }
+  return response.json();
+};
+
+export const createRestStore = (baseUrl) => {
+  const boardUrl = (levelId, mode) =>
+    `${baseUrl.replace(/\/$/, '')}/leaderboards/${encodeURIComponent(levelId)}/${encodeURIComponent(mode)}`;
+
+  return {
+    getEntries(levelId, mode) {
+      return request(boardUrl(levelId, mode));
+    },
+
+    submitEntry(levelId, mode, entry) {
+      return request(boardUrl(levelId, mode), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry)
+      });
+    }
+  };
+};
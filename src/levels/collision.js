@@ -0,0 +1,161 @@
+// Collision between LavoBot, modelled as a circle on the ground plane, and the
+// box and cylinder colliders of every obstacle, solid prop and station in a
+// level. Pure like levelRules so planners and tools share the same answers.
+
+export const ROBOT_RADIUS = 0.3;
+
+// Push-out passes per move; corners between two colliders need more than one
+const RESOLVE_ITERATIONS = 4;
+
+// Extra push so a resolved circle is clear of the surface, not exactly touching it
+const SKIN = 1e-6;
+
+// Axis-aligned footprint of an obstacle, grown by its optional margin
+export const getObstacleFootprint = (obstacle) => {
+  const [x, z] = obstacle.position;
+  const [width, depth] = obstacle.size;
+  const margin = obstacle.margin || 0;
+  return {
+    x,
+    z,
+    halfWidth: width / 2 + margin,
+    halfDepth: depth / 2 + margin
+  };
+};
+
+// `rotation` is in degrees around Y, matching how props are drawn
+const box = (x, z, width, depth, rotation = 0) =>
+  ({ shape: 'box', x, z, halfWidth: width / 2, halfDepth: depth / 2, rotation });
+
+const cylinder = (x, z, radius) => ({ shape: 'cylinder', x, z, radius });
+
+// Obstacles are boxes unless their type is round
+const OBSTACLE_COLLIDERS = {
+  column: (obstacle) => {
+    const footprint = getObstacleFootprint(obstacle);
+    return [cylinder(footprint.x, footprint.z, Math.max(footprint.halfWidth, footprint.halfDepth))];
+  }
+};
+
+const obstacleBox = (obstacle) => {
+  const footprint = getObstacleFootprint(obstacle);
+  return [box(footprint.x, footprint.z, footprint.halfWidth * 2, footprint.halfDepth * 2)];
+};
+
+// Footprints of the props that stand on the floor, sized to their geometry.
+// Flat markings and the ceiling have none.
+export const PROP_COLLIDERS = {
+  loungeChair: ({ position }) => [box(position[0], position[1], 2, 3.5)],
+  column: ({ position }) => [cylinder(position[0], position[1], 0.3)],
+  wall: ({ position, size, rotation }) => [box(position[0], position[1], size[0], size[2], rotation)]
+};
+
+// The dock's back post and a station's tap or sink stand behind the pad LavoBot parks on
+const dockColliders = (dock) => [box(dock.position[0], dock.position[1] - 0.55, 1.2, 0.15)];
+
+const stationColliders = ({ kind, position }) => (kind === 'utilitySink'
+  ? [box(position[0], position[1] - 0.9, 1, 0.6)]
+  : [cylinder(position[0], position[1] - 0.7, 0.06)]);
+
+const withSource = (colliders, source) => colliders.map(collider => ({ ...collider, source }));
+
+// Levels are treated as immutable, so colliders are built once per level object
+const colliderCache = new WeakMap();
+
+export const getColliders = (level) => {
+  let colliders = colliderCache.get(level);
+  if (colliders) return colliders;
+
+  colliders = [];
+  level.obstacles.forEach((obstacle, index) => {
+    const build = OBSTACLE_COLLIDERS[obstacle.type] || obstacleBox;
+    colliders.push(...withSource(build(obstacle), { kind: 'obstacle', type: obstacle.type, index }));
+  });
+  (level.props || []).forEach((prop, index) => {
+    const build = PROP_COLLIDERS[prop.type];
+    if (build) colliders.push(...withSource(build(prop), { kind: 'prop', type: prop.type, index }));
+  });
+  if (level.dock) {
+    colliders.push(...withSource(dockColliders(level.dock), { kind: 'dock', type: 'dock', index: 0 }));
+  }
+  (level.refillStations || []).forEach((station, index) => {
+    colliders.push(...withSource(stationColliders(station), { kind: 'refillStation', type: station.kind, index }));
+  });
+
+  colliderCache.set(level, colliders);
+  return colliders;
+};
+
+// How far a circle at (x, z) sinks into a collider and the direction that gets
+// it out again, or null when they do not overlap
+export const getPenetration = (collider, x, z, radius) => {
+  if (collider.shape === 'cylinder') {
+    const dx = x - collider.x;
+    const dz = z - collider.z;
+    const distance = Math.hypot(dx, dz);
+    const depth = radius + collider.radius - distance;
+    if (depth <= 0) return null;
+    return distance > 0
+      ? { normal: { x: dx / distance, z: dz / distance }, depth }
+      : { normal: { x: 1, z: 0 }, depth };
+  }
+
+  // Work in the box's own frame, then rotate the normal back out
+  const angle = ((collider.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = x - collider.x;
+  const dz = z - collider.z;
+  const localX = dx * cos - dz * sin;
+  const localZ = dx * sin + dz * cos;
+  const toWorld = (nx, nz) => ({ x: nx * cos + nz * sin, z: -nx * sin + nz * cos });
+
+  const insideX = collider.halfWidth - Math.abs(localX);
+  const insideZ = collider.halfDepth - Math.abs(localZ);
+  if (insideX > 0 && insideZ > 0) {
+    // Centre inside the box: leave through the nearest face
+    return insideX < insideZ
+      ? { normal: toWorld(Math.sign(localX) || 1, 0), depth: insideX + radius }
+      : { normal: toWorld(0, Math.sign(localZ) || 1), depth: insideZ + radius };
+  }
+
+  const offsetX = localX - Math.max(-collider.halfWidth, Math.min(collider.halfWidth, localX));
+  const offsetZ = localZ - Math.max(-collider.halfDepth, Math.min(collider.halfDepth, localZ));
+  const distance = Math.hypot(offsetX, offsetZ);
+  if (distance >= radius) return null;
+  if (distance === 0) {
+    // Centre exactly on a face: push straight out through it
+    return insideX < insideZ
+      ? { normal: toWorld(Math.sign(localX) || 1, 0), depth: radius }
+      : { normal: toWorld(0, Math.sign(localZ) || 1), depth: radius };
+  }
+  return { normal: toWorld(offsetX / distance, offsetZ / distance), depth: radius - distance };
+};
+
+export const collidesAt = (level, x, z, radius = ROBOT_RADIUS) =>
+  getColliders(level).some(collider => getPenetration(collider, x, z, radius) !== null);
+
+// Moves a circle to (x, z) and pushes it back out of anything it ends up in.
+// Only the blocked part of the move is removed, so LavoBot slides along walls.
+// Every collider touched is reported once with the normal it pushed along.
+export const resolveMovement = (level, x, z, radius = ROBOT_RADIUS) => {
+  const colliders = getColliders(level);
+  const contacts = new Map();
+  let resolvedX = x;
+  let resolvedZ = z;
+
+  for (let i = 0; i < RESOLVE_ITERATIONS; i++) {
+    let pushed = false;
+    colliders.forEach(collider => {
+      const penetration = getPenetration(collider, resolvedX, resolvedZ, radius);
+      if (!penetration) return;
+      resolvedX += penetration.normal.x * (penetration.depth + SKIN);
+      resolvedZ += penetration.normal.z * (penetration.depth + SKIN);
+      if (!contacts.has(collider)) contacts.set(collider, { collider, normal: penetration.normal });
+      pushed = true;
+    });
+    if (!pushed) break;
+  }
+
+  return { x: resolvedX, z: resolvedZ, contacts: Array.from(contacts.values()) };
+};
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { ROBOT_RADIUS, collidesAt, getColliders, getPenetration, resolveMovement } from './collision';
+
+const box = (rotation = 0) => ({ shape: 'box', x: 0, z: 0, halfWidth: 1, halfDepth: 0.5, rotation });
+
+// A bare level holding just the given obstacles
+const levelWith = (...obstacles) => ({ obstacles });
+
+// A wall along x whose north face is at z = 0.5
+const wall = { type: 'barrier', position: [0, 0], size: [10, 1] };
+
+describe('getPenetration', () => {
+  it('pushes a circle centred exactly on a box face straight out', () => {
+    const result = getPenetration(box(), 1, 0, 0.3);
+    expect(result.normal.x).toBeCloseTo(1);
+    expect(result.normal.z).toBeCloseTo(0);
+    expect(result.depth).toBeCloseTo(0.3);
+
+    const below = getPenetration(box(), 0.2, -0.5, 0.3);
+    expect(below.normal.x).toBeCloseTo(0);
+    expect(below.normal.z).toBeCloseTo(-1);
+  });
+
+  it('gives a finite normal on the face of a rotated box', () => {
+    const rotated = box(90);
+    // A quarter turn puts the long side along z, so its end face is at z = ±1
+    const result = getPenetration(rotated, 0, 1, 0.3);
+    expect(Number.isFinite(result.normal.x) && Number.isFinite(result.normal.z)).toBe(true);
+    expect(Math.hypot(result.normal.x, result.normal.z)).toBeCloseTo(1);
+  });
+
+  it('turns the footprint of a rotated box with it', () => {
+    // Past the end of the unrotated box, but touching the turned one's end face
+    const end = getPenetration(box(90), 0, 1.2, 0.3);
+    expect(end.normal.x).toBeCloseTo(0);
+    expect(end.normal.z).toBeCloseTo(1);
+    expect(end.depth).toBeCloseTo(0.1);
+
+    // Deep inside the unrotated box, but beside the turned one's long side
+    const side = getPenetration(box(90), 0.6, 0, 0.3);
+    expect(side.normal.x).toBeCloseTo(1);
+    expect(side.normal.z).toBeCloseTo(0);
+    expect(side.depth).toBeCloseTo(0.2);
+    expect(getPenetration(box(90), 0.9, 0, 0.3)).toBeNull();
+  });
+
+  it('pushes out of a cylinder along the line from its centre', () => {
+    const post = { shape: 'cylinder', x: 0, z: 0, radius: 0.5 };
+    const beside = getPenetration(post, 0.7, 0, 0.3);
+    expect(beside.normal).toEqual({ x: 1, z: 0 });
+    expect(beside.depth).toBeCloseTo(0.1);
+
+    const diagonal = getPenetration(post, 0.5, 0.5, 0.3);
+    expect(diagonal.normal.x).toBeCloseTo(Math.SQRT1_2);
+    expect(diagonal.normal.z).toBeCloseTo(Math.SQRT1_2);
+    expect(diagonal.depth).toBeCloseTo(0.8 - Math.SQRT2 / 2);
+
+    // Round, so a point a box of the same size would catch is clear
+    expect(getPenetration(post, 0.6, 0.6, 0.3)).toBeNull();
+    expect(getPenetration(post, 0, 0, 0.3)).toEqual({ normal: { x: 1, z: 0 }, depth: 0.8 });
+  });
+});
+
+describe('getColliders', () => {
+  it('makes columns round and other obstacles boxes', () => {
+    const [column, barrier] = getColliders(levelWith(
+      { type: 'column', position: [2, 3], size: [1, 1] },
+      { type: 'barrier', position: [0, 0], size: [4, 1], margin: 0.5 }
+    ));
+    expect(column).toMatchObject({ shape: 'cylinder', x: 2, z: 3, radius: 0.5 });
+    expect(barrier).toMatchObject({ shape: 'box', halfWidth: 2.5, halfDepth: 1 });
+    expect(barrier.source).toEqual({ kind: 'obstacle', type: 'barrier', index: 1 });
+  });
+});
+
+describe('resolveMovement', () => {
+  it('leaves a move that touches nothing alone', () => {
+    expect(resolveMovement(levelWith(wall), 1, 2)).toEqual({ x: 1, z: 2, contacts: [] });
+  });
+
+  it('slides along a wall instead of stopping dead', () => {
+    // Heading south-east into the wall's north face
+    const result = resolveMovement(levelWith(wall), 0.1, 0.75);
+    expect(result.x).toBeCloseTo(0.1);
+    expect(result.z).toBeCloseTo(0.5 + ROBOT_RADIUS);
+    expect(result.z).toBeGreaterThan(0.5 + ROBOT_RADIUS);
+  });
+
+  it('reports the collider it hit and the normal it pushed along', () => {
+    const level = levelWith(wall);
+    const { contacts } = resolveMovement(level, 0.1, 0.75);
+    expect(contacts).toHaveLength(1);
+    expect(contacts[0].collider).toBe(getColliders(level)[0]);
+    expect(contacts[0].normal).toEqual({ x: 0, z: 1 });
+  });
+
+  it('gets out of a corner and reports each wall once', () => {
+    const level = levelWith(wall, { type: 'barrier', position: [5.5, 5], size: [1, 10] });
+    const result = resolveMovement(level, 4.9, 0.6);
+    expect(collidesAt(level, result.x, result.z)).toBe(false);
+    expect(result.contacts.map(({ collider }) => collider.source.index).sort()).toEqual([0, 1]);
+  });
+
+  it('slides along a cylinder round its side', () => {
+    const level = levelWith({ type: 'column', position: [0, 0], size: [1, 1] });
+    const result = resolveMovement(level, 0.3, 0.6);
+    expect(Math.hypot(result.x, result.z)).toBeCloseTo(0.5 + ROBOT_RADIUS);
+    expect(result.x).toBeGreaterThan(0.3);
+    expect(result.contacts).toHaveLength(1);
+  });
+});
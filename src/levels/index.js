@@ -0,0 +1,20 @@
+import parkingLot from './parkingLot.json' with { type: 'json' };
+import driveway from './driveway.json' with { type: 'json' };
+import parkingGarage from './parkingGarage.json' with { type: 'json' };
+import { validateLevel } from './levelSchema.js';
+
+// Order here is the order of the scene selector
+const BUILT_IN_LEVELS = [parkingLot, driveway, parkingGarage];
+
+BUILT_IN_LEVELS.forEach(level => {
+  const errors = validateLevel(level);
+  if (errors.length > 0) {
+    throw new Error(`Invalid level "${level.id}": ${errors.join('; ')}`);
+  }
+});
+
+export const LEVELS = BUILT_IN_LEVELS;
+
+export const DEFAULT_LEVEL_ID = LEVELS[0].id;
+
+export const getLevel = (id) => LEVELS.find(level => level.id === id) || null;
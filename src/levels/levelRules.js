@@ -0,0 +1,79 @@
+// Pure grid rules shared by every level: surfaces, obstacles and the dirty grid.
+// Nothing in here touches React or three.js so it can be reused by tools.
+import { collidesAt, getObstacleFootprint } from './collision.js';
+
+export { getObstacleFootprint };
+
+export const CELL_SIZE = 1;
+
+// LavoBot's body sits this far above whatever surface it is driving on
+export const ROBOT_HEIGHT_OFFSET = 0.069;
+
+export const cellKey = (x, z) => `${Math.round(x)},${Math.round(z)}`;
+
+export const parseCellKey = (key) => {
+  const [x, z] = key.split(',').map(Number);
+  return { x, z };
+};
+
+const inRect = (rect, x, z) =>
+  x >= rect.minX && x <= rect.maxX && z >= rect.minZ && z <= rect.maxZ;
+
+export const clampToBounds = (bounds, x, z) => ({
+  x: Math.max(bounds.minX, Math.min(bounds.maxX, x)),
+  z: Math.max(bounds.minZ, Math.min(bounds.maxZ, z))
+});
+
+// Painted surfaces list their cells; cache them as sets per (immutable) surface object
+const surfaceCellSets = new WeakMap();
+
+const getSurfaceCells = (surface) => {
+  let cells = surfaceCellSets.get(surface);
+  if (!cells) {
+    cells = new Set(surface.cells);
+    surfaceCellSets.set(surface, cells);
+  }
+  return cells;
+};
+
+export const surfaceContains = (surface, x, z) =>
+  surface.rect
+    ? inRect(surface.rect, x, z)
+    : getSurfaceCells(surface).has(cellKey(x, z));
+
+// First surface containing the point wins, so list the most specific first
+export const getSurfaceAt = (level, x, z) =>
+  level.surfaces.find(surface => surfaceContains(surface, x, z)) || null;
+
+export const isInObstacle = (obstacle, x, z) => {
+  const footprint = getObstacleFootprint(obstacle);
+  return Math.abs(x - footprint.x) < footprint.halfWidth &&
+         Math.abs(z - footprint.z) < footprint.halfDepth;
+};
+
+// Whether LavoBot would overlap any obstacle, solid prop or station standing here
+export const isBlocked = (level, x, z) => collidesAt(level, x, z);
+
+// A cell needs cleaning when it lies on a surface and LavoBot fits on it
+export const isCleanableCell = (level, x, z) =>
+  getSurfaceAt(level, x, z) !== null && !isBlocked(level, x, z);
+
+export const buildDirtyCells = (level) => {
+  const { bounds } = level;
+  const cells = new Set();
+
+  for (let x = bounds.minX; x <= bounds.maxX; x += CELL_SIZE) {
+    for (let z = bounds.minZ; z <= bounds.maxZ; z += CELL_SIZE) {
+      if (isCleanableCell(level, x, z)) {
+        cells.add(cellKey(x, z));
+      }
+    }
+  }
+
+  return cells;
+};
+
+export const getRobotHeight = (level, x, z) => {
+  const surface = getSurfaceAt(level, Math.round(x), Math.round(z));
+  return surface ? surface.height + ROBOT_HEIGHT_OFFSET : null;
+};
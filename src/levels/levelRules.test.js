@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { LEVELS, getLevel } from './index';
+import {
+  buildDirtyCells,
+  cellKey,
+  clampToBounds,
+  getSurfaceAt,
+  isCleanableCell,
+  parseCellKey
+} from './levelRules';
+
+const parkingLot = getLevel('parkingLot');
+const driveway = getLevel('driveway');
+const parkingGarage = getLevel('parkingGarage');
+
+describe('clampToBounds', () => {
+  it.each(LEVELS.map(level => [level.id, level]))('keeps %s points inside its bounds', (id, { bounds }) => {
+    expect(clampToBounds(bounds, bounds.minX - 5, bounds.minZ - 5)).toEqual({ x: bounds.minX, z: bounds.minZ });
+    expect(clampToBounds(bounds, bounds.maxX + 5, bounds.maxZ + 5)).toEqual({ x: bounds.maxX, z: bounds.maxZ });
+    expect(clampToBounds(bounds, bounds.minX - 1, bounds.maxZ + 1)).toEqual({ x: bounds.minX, z: bounds.maxZ });
+  });
+
+  it('leaves points already inside alone', () => {
+    expect(clampToBounds(parkingLot.bounds, 3.25, -12.5)).toEqual({ x: 3.25, z: -12.5 });
+  });
+
+  it('puts every dirty cell inside the bounds', () => {
+    LEVELS.forEach((level) => {
+      const { bounds } = level;
+      buildDirtyCells(level).forEach((key) => {
+        const { x, z } = parseCellKey(key);
+        expect(clampToBounds(bounds, x, z)).toEqual({ x, z });
+      });
+    });
+  });
+});
+
+describe('dirty grid', () => {
+  it('leaves the pool and its margin out', () => {
+    const cells = buildDirtyCells(driveway);
+    expect(cells.has(cellKey(0, 0))).toBe(false);
+    expect(cells.has(cellKey(6, 4))).toBe(false);
+    expect(cells.has(cellKey(-6, -4))).toBe(false);
+    // Just past the margin the deck is dirty again
+    expect(cells.has(cellKey(7, 0))).toBe(true);
+    expect(cells.has(cellKey(0, 5))).toBe(true);
+  });
+
+  it('leaves the planters out', () => {
+    const cells = buildDirtyCells(driveway);
+    [[-10, -10], [10, -10], [-10, 10], [10, 10]].forEach(([x, z]) => {
+      expect(cells.has(cellKey(x, z))).toBe(false);
+      expect(isCleanableCell(driveway, x, z)).toBe(false);
+    });
+    expect(cells.has(cellKey(-10, -7))).toBe(true);
+  });
+
+  it('leaves the parked car out', () => {
+    const cells = buildDirtyCells(parkingGarage);
+    expect(cells.has(cellKey(-8, -6))).toBe(false);
+    expect(cells.has(cellKey(-8, -5))).toBe(false);
+    expect(cells.has(cellKey(-6, -6))).toBe(true);
+  });
+});
+
+describe('parking lot surfaces', () => {
+  it('types the lot, the driveway and the road', () => {
+    expect(getSurfaceAt(parkingLot, 0, -20).type).toBe('parking');
+    expect(getSurfaceAt(parkingLot, 0, -6).type).toBe('driveway');
+    expect(getSurfaceAt(parkingLot, 0, -1).type).toBe('road');
+    expect(getSurfaceAt(parkingLot, 0, 5)).toBeNull();
+  });
+
+  it('gives a shared edge to the surface listed first', () => {
+    expect(getSurfaceAt(parkingLot, 0, -10).type).toBe('parking');
+    expect(getSurfaceAt(parkingLot, 0, -2).type).toBe('driveway');
+  });
+
+  it('only grids the surfaces inside the bounds', () => {
+    const counts = {};
+    buildDirtyCells(parkingLot).forEach((key) => {
+      const { x, z } = parseCellKey(key);
+      const { type } = getSurfaceAt(parkingLot, x, z);
+      counts[type] = (counts[type] || 0) + 1;
+    });
+    expect(Object.keys(counts).sort()).toEqual(['driveway', 'parking']);
+    // 35 columns by 17 rows of lot; the driveway's 6 rows lose the dock and the hose bib cells
+    expect(counts.parking).toBe(35 * 17);
+    expect(counts.driveway).toBeLessThan(35 * 6);
+    expect(counts.driveway).toBeGreaterThan(35 * 5);
+  });
+});
@@ -0,0 +1,156 @@
+// Structural checks for level files. Returns a list of human readable problems
+// so loaders can decide whether to throw or surface them in the UI.
+
+export const DEFAULT_LIGHTING = {
+  ambient: { intensity: 0.4 },
+  directional: { position: [10, 20, 10], intensity: 0.8, shadowMapSize: 1024 },
+  points: []
+};
+
+export const DEFAULT_OVERLAY = { dirtOpacity: 0.3, cleanedGlow: 0.2 };
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isPoint = (value) =>
+  Array.isArray(value) && value.length === 2 && value.every(isNumber);
+
+const isRect = (rect) =>
+  rect && ['minX', 'maxX', 'minZ', 'maxZ'].every(key => isNumber(rect[key])) &&
+  rect.minX <= rect.maxX && rect.minZ <= rect.maxZ;
+
+const isCellKey = (value) => typeof value === 'string' && /^-?\d+,-?\d+$/.test(value);
+
+export const validateLevel = (level) => {
+  const errors = [];
+
+  if (!level || typeof level !== 'object') {
+    return ['Level must be an object'];
+  }
+  if (typeof level.id !== 'string' || !level.id) {
+    errors.push('Level needs a string id');
+  }
+  if (typeof level.name !== 'string' || !level.name) {
+    errors.push('Level needs a display name');
+  }
+  if (!isRect(level.bounds)) {
+    errors.push('bounds must have numeric minX/maxX/minZ/maxZ with min <= max');
+  }
+  if (!isPoint(level.spawn)) {
+    errors.push('spawn must be an [x, z] pair');
+  }
+  if (level.dock !== undefined && !(level.dock && isPoint(level.dock.position))) {
+    errors.push('dock must have an [x, z] position');
+  }
+  if (level.refillStations !== undefined) {
+    if (!Array.isArray(level.refillStations)) {
+      errors.push('refillStations must be an array');
+    } else {
+      level.refillStations.forEach((station, i) => {
+        if (!isPoint(station.position)) errors.push(`refillStations[${i}] needs an [x, z] position`);
+      });
+    }
+  }
+
+  if (level.dirt !== undefined) {
+    const { base, variation, hotspots } = level.dirt || {};
+    if ((base !== undefined && !isNumber(base)) || (variation !== undefined && !isNumber(variation))) {
+      errors.push('dirt base and variation must be numbers');
+    }
+    if (hotspots !== undefined && !(Array.isArray(hotspots) && hotspots.every(hotspot =>
+      isPoint(hotspot.position) && isNumber(hotspot.radius) && isNumber(hotspot.amount)))) {
+      errors.push('dirt hotspots need an [x, z] position, radius and amount');
+    }
+  }
+
+  if (level.soiling !== undefined) {
+    const { rate, events } = level.soiling || {};
+    if (rate !== undefined && !isNumber(rate)) errors.push('soiling rate must be a number');
+    if (events !== undefined) {
+      if (!Array.isArray(events)) {
+        errors.push('soiling events must be an array');
+      } else {
+        events.forEach((event, i) => {
+          if (typeof event.kind !== 'string') errors.push(`soiling.events[${i}] needs a kind`);
+          if (!isNumber(event.chance) || !isNumber(event.amount)) {
+            errors.push(`soiling.events[${i}] needs a numeric chance and amount`);
+          }
+          if (!isRect(event.rect) && !(isPoint(event.position) && isNumber(event.radius))) {
+            errors.push(`soiling.events[${i}] needs a rect or a position and radius`);
+          }
+        });
+      }
+    }
+  }
+
+  if (level.challenge !== undefined) {
+    const { parTime, targetCleanliness, stars } = level.challenge || {};
+    if (parTime !== undefined && !(isNumber(parTime) && parTime > 0)) {
+      errors.push('challenge parTime must be a positive number of seconds');
+    }
+    if (targetCleanliness !== undefined &&
+        !(isNumber(targetCleanliness) && targetCleanliness > 0 && targetCleanliness <= 100)) {
+      errors.push('challenge targetCleanliness must be a percentage');
+    }
+    if (stars !== undefined && !(Array.isArray(stars) && stars.length === 3 && stars.every(isNumber) &&
+        stars[0] <= stars[1] && stars[1] <= stars[2])) {
+      errors.push('challenge stars must be three ascending score thresholds');
+    }
+  }
+
+  if (!Array.isArray(level.surfaces) || level.surfaces.length === 0) {
+    errors.push('Level needs at least one surface');
+  } else {
+    level.surfaces.forEach((surface, i) => {
+      if (typeof surface.type !== 'string') errors.push(`surfaces[${i}] needs a type`);
+      if (!isNumber(surface.height)) errors.push(`surfaces[${i}] needs a numeric height`);
+      if (surface.cells !== undefined) {
+        if (!Array.isArray(surface.cells) || !surface.cells.every(isCellKey)) {
+          errors.push(`surfaces[${i}] cells must be "x,z" strings`);
+        }
+      } else if (!isRect(surface.rect)) {
+        errors.push(`surfaces[${i}] needs a valid rect or a cells list`);
+      }
+    });
+  }
+
+  if (!Array.isArray(level.obstacles)) {
+    errors.push('obstacles must be an array');
+  } else {
+    level.obstacles.forEach((obstacle, i) => {
+      if (typeof obstacle.type !== 'string') errors.push(`obstacles[${i}] needs a type`);
+      if (!isPoint(obstacle.position)) errors.push(`obstacles[${i}] needs an [x, z] position`);
+      if (!isPoint(obstacle.size)) errors.push(`obstacles[${i}] needs a [width, depth] size`);
+    });
+  }
+
+  if (!Array.isArray(level.props)) {
+    errors.push('props must be an array');
+  } else {
+    level.props.forEach((prop, i) => {
+      if (typeof prop.type !== 'string') errors.push(`props[${i}] needs a type`);
+    });
+  }
+
+  return errors;
+};
+
+// Fills in the optional presentation fields so hand-written files stay short
+export const withLevelDefaults = (level) => {
+  const { bounds } = level;
+  const span = bounds
+    ? Math.max(Math.abs(bounds.minX), Math.abs(bounds.maxX), Math.abs(bounds.minZ), Math.abs(bounds.maxZ))
+    : 10;
+  return {
+    ...level,
+    ground: level.ground || {
+      size: [span * 2 + 10, span * 2 + 10],
+      height: -0.01,
+      material: { color: '#4a4a4a' }
+    },
+    obstacles: level.obstacles || [],
+    refillStations: level.refillStations || [],
+    props: level.props || [],
+    lighting: level.lighting || DEFAULT_LIGHTING,
+    overlay: level.overlay || DEFAULT_OVERLAY
+  };
+};
@@ -0,0 +1,219 @@
+// Run recordings. A replay keeps LavoBot's pose after every simulation tick,
+// each change of input and each change to the dirt overlay, so playback shows
+// exactly what happened whatever the frame rate of the machine watching it.
+// Recording the overlay rather than working it out from the path keeps
+// multiple passes, an empty tank, re-soiling and messes in the picture.
+//
+// On disk poses and tick times are quantized to integers and delta encoded:
+// a parked or cruising robot costs a few characters a tick.
+import { validateBrush } from '../game/brush.js';
+import { getDirtShade, seedDirt } from '../game/dirt.js';
+import { interpolatePose } from '../game/clock.js';
+import { restoreSession } from '../sessions/session.js';
+
+export const REPLAY_FORMAT = 'lavobot-replay';
+// Version 1 replays had no dirt changes
+export const REPLAY_VERSION = 2;
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Millimetres, milliradians and milliseconds
+const POSE_SCALE = 1000;
+const TIME_SCALE = 1000;
+
+const quantize = (value, scale) => Math.round(value * scale);
+
+const sameInput = (a, b) => a && a.x === b.x && a.z === b.z && a.mode === b.mode && a.route === b.route;
+
+// `start` is the session the recording begins from (see sessions/session.js);
+// its pose is tick 0.
+export const createRecorder = ({ levelId, brush, start }) => {
+  let last = [quantize(start.pose.x, POSE_SCALE), quantize(start.pose.z, POSE_SCALE),
+    quantize(start.pose.heading, POSE_SCALE)];
+  const poses = [];
+  const times = [];
+  const inputs = [];
+  const dirt = [];
+  let lastInput = null;
+  let ticks = 0;
+  // The running clock is quantized rather than each tick, so rounding never adds up
+  let clock = 0;
+  let lastTime = 0;
+
+  return {
+    // One tick: how long it took, where it left LavoBot, what was driving it and
+    // how the overlay changed. `input` is { x, z, mode, route } with route the
+    // kind of route being followed; `shades` is [[cellKey, shade]].
+    recordTick(dt, pose, input, shades = []) {
+      ticks += 1;
+      const current = [quantize(pose.x, POSE_SCALE), quantize(pose.z, POSE_SCALE),
+        quantize(pose.heading, POSE_SCALE)];
+      current.forEach((value, i) => poses.push(value - last[i]));
+      last = current;
+      clock += dt;
+      const time = quantize(clock, TIME_SCALE);
+      times.push(time - lastTime);
+      lastTime = time;
+
+      const normalized = {
+        x: Number(input.x.toFixed(2)),
+        z: Number(input.z.toFixed(2)),
+        mode: input.mode,
+        route: input.route || null
+      };
+      if (!sameInput(lastInput, normalized)) {
+        inputs.push([ticks, normalized.x, normalized.z, normalized.mode, normalized.route]);
+        lastInput = normalized;
+      }
+      shades.forEach(([key, shade]) => dirt.push([ticks, key, shade]));
+    },
+
+    finish() {
+      return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        levelId,
+        recordedAt: new Date().toISOString(),
+        brush,
+        start,
+        ticks,
+        times: times.slice(),
+        poses: poses.slice(),
+        inputs: inputs.slice(),
+        dirt: dirt.slice()
+      };
+    }
+  };
+};
+
+// Checks a replay read from a file and unpacks it for playback. Throws with a
+// message fit for the player when the file is not a usable replay.
+export const loadReplay = (replay) => {
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    throw new Error('Not a LavoBot replay file');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version}`);
+  }
+  const { ticks, times, poses, start, dirt } = replay;
+  if (!start || !start.pose || !Array.isArray(times) || !Array.isArray(poses) || !Array.isArray(dirt) ||
+      times.length !== ticks || poses.length !== ticks * 3 || validateBrush(replay.brush).length > 0) {
+    throw new Error('Replay file is damaged');
+  }
+
+  const xs = new Float64Array(ticks + 1);
+  const zs = new Float64Array(ticks + 1);
+  const headings = new Float64Array(ticks + 1);
+  const clock = new Float64Array(ticks + 1);
+  let x = quantize(start.pose.x, POSE_SCALE);
+  let z = quantize(start.pose.z, POSE_SCALE);
+  let heading = quantize(start.pose.heading, POSE_SCALE);
+  xs[0] = x / POSE_SCALE;
+  zs[0] = z / POSE_SCALE;
+  headings[0] = heading / POSE_SCALE;
+  for (let tick = 1; tick <= ticks; tick++) {
+    x += poses[tick * 3 - 3];
+    z += poses[tick * 3 - 2];
+    heading += poses[tick * 3 - 1];
+    xs[tick] = x / POSE_SCALE;
+    zs[tick] = z / POSE_SCALE;
+    headings[tick] = heading / POSE_SCALE;
+    clock[tick] = clock[tick - 1] + times[tick - 1] / TIME_SCALE;
+  }
+
+  return {
+    levelId: replay.levelId,
+    recordedAt: replay.recordedAt,
+    brush: replay.brush,
+    start,
+    ticks,
+    duration: clock[ticks],
+    clock,
+    xs,
+    zs,
+    headings,
+    inputs: replay.inputs || [],
+    dirt
+  };
+};
+
+export const parseReplay = (text) => {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+  return loadReplay(replay);
+};
+
+// Fractional tick shown at `time` seconds into the replay
+export const getTickAt = (playback, time) => {
+  const { clock, ticks } = playback;
+  if (time <= 0) return 0;
+  if (time >= clock[ticks]) return ticks;
+  let low = 0;
+  let high = ticks;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (clock[mid] <= time) low = mid;
+    else high = mid;
+  }
+  const span = clock[high] - clock[low];
+  return low + (span > 0 ? (time - clock[low]) / span : 0);
+};
+
+export const getPoseAt = (playback, tick) => {
+  const from = Math.max(0, Math.min(Math.floor(tick), playback.ticks));
+  const to = Math.min(from + 1, playback.ticks);
+  const { xs, zs, headings } = playback;
+  return interpolatePose(
+    { x: xs[from], z: zs[from], heading: headings[from] },
+    { x: xs[to], z: zs[to], heading: headings[to] },
+    tick - from
+  );
+};
+
+// The input in effect during `tick`, or null before the first one
+export const getInputAt = (playback, tick) => {
+  let current = null;
+  for (const [inputTick, x, z, mode, route] of playback.inputs) {
+    if (inputTick > tick) break;
+    current = { x, z, mode, route };
+  }
+  return current;
+};
+
+// The overlay the replay starts from: the recorded session's dirt, as it would
+// look resuming that session
+export const getStartShades = (playback, level) => {
+  const seeded = seedDirt(level);
+  const resumed = restoreSession(playback.start, level, seeded);
+  const dirtLevels = resumed ? resumed.dirtLevels : seeded;
+  return new Map(Array.from(dirtLevels, ([key, value]) => [key, getDirtShade(value)]));
+};
+
+// How many of the recorded dirt changes had happened by `tick`
+export const countDirtChanges = (playback, tick) => {
+  const { dirt } = playback;
+  let low = 0;
+  let high = dirt.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (dirt[mid][0] <= tick) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// The overlay once the first `count` dirt changes have happened
+export const getShadesAfter = (playback, startShades, count) => {
+  const shades = new Map(startShades);
+  for (let i = 0; i < count; i++) {
+    const [, key, shade] = playback.dirt[i];
+    if (shades.has(key)) shades.set(key, shade);
+  }
+  return shades;
+};
+
+export const replayFileName = (replay) =>
+  `lavobot-${replay.levelId}-${replay.recordedAt.replace(/[:.]/g, '-')}.replay.json`;
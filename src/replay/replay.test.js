@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { getLevel } from '../levels';
+import { createSimulation } from '../game/simulation';
+import {
+  countDirtChanges,
+  createRecorder,
+  getShadesAfter,
+  getStartShades,
+  loadReplay,
+  parseReplay
+} from './replay';
+
+// Records a live run from a saved session, keeping the live overlay at each
+// of `checkpoints` (ticks), and plays the recording back from a file
+const recordRun = ({ levelId, checkpoints, prepare = () => {}, drive }) => {
+  const level = getLevel(levelId);
+  const start = createSimulation({ level }).captureSession();
+  prepare(start);
+  const simulation = createSimulation({ level, session: start });
+  const recorder = createRecorder({ levelId, brush: simulation.brush, start });
+  simulation.setRecorder(recorder);
+  drive(simulation);
+
+  const live = new Map();
+  const last = Math.max(...checkpoints);
+  for (let tick = 1; tick <= last; tick++) {
+    simulation.step();
+    if (checkpoints.includes(tick)) live.set(tick, simulation.getDirtShades());
+  }
+  return { level, live, playback: parseReplay(JSON.stringify(recorder.finish())) };
+};
+
+const replayedShades = (playback, level, tick) =>
+  getShadesAfter(playback, getStartShades(playback, level), countDirtChanges(playback, tick));
+
+describe('replayed dirt', () => {
+  it('matches the live run through passes, re-soiling and messes', () => {
+    const checkpoints = [1, 600, 1800, 3600];
+    const { level, live, playback } = recordRun({
+      levelId: 'driveway',
+      checkpoints,
+      drive: (simulation) => {
+        simulation.setAutoDock(true);
+        simulation.setAutoClean(true);
+      }
+    });
+    expect(playback.dirt.length).toBeGreaterThan(0);
+    checkpoints.forEach((tick) => {
+      expect(replayedShades(playback, level, tick)).toEqual(live.get(tick));
+    });
+  });
+
+  it('leaves dirt an empty tank could not scrub', () => {
+    const { level, live, playback } = recordRun({
+      levelId: 'driveway',
+      checkpoints: [300],
+      prepare: (start) => {
+        start.tank = 0;
+      },
+      drive: simulation => simulation.setInput({ x: 0, z: 1 })
+    });
+    const shades = replayedShades(playback, level, 300);
+    expect(shades).toEqual(live.get(300));
+    getStartShades(playback, level).forEach((shade, key) => {
+      if (shade > 0) expect(shades.get(key)).toBeGreaterThan(0);
+    });
+  });
+
+});
+
+describe('loadReplay', () => {
+  const record = () => {
+    const level = getLevel('parkingLot');
+    const simulation = createSimulation({ level });
+    const recorder = createRecorder({ levelId: level.id, brush: simulation.brush, start: simulation.captureSession() });
+    simulation.setRecorder(recorder);
+    simulation.step();
+    return recorder.finish();
+  };
+
+  it('turns down replays without dirt changes', () => {
+    const { dirt, ...replay } = record();
+    expect(() => loadReplay(replay)).toThrow('Replay file is damaged');
+    expect(() => loadReplay({ ...replay, dirt, version: 1 })).toThrow('Unsupported replay version 1');
+  });
+
+  it('turns down replays with a brush that cannot be drawn', () => {
+    const replay = record();
+    expect(() => loadReplay({ ...replay, brush: { ...replay.brush, shape: 'star' } })).toThrow('Replay file is damaged');
+  });
+});
@@ -0,0 +1,72 @@
+// Snapshots of a scene in progress: every cell's dirt, LavoBot's pose, the run
+// clock, camera mode and consumables. Plain JSON so they can go in localStorage.
+
+export const SESSION_VERSION = 1;
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export const createSession = ({
+  levelId,
+  dirtLevels,
+  initialDirt,
+  pose,
+  elapsed,
+  distance,
+  cameraMode,
+  battery,
+  tank,
+  counters
+}) => {
+  const dirt = {};
+  let remaining = 0;
+  dirtLevels.forEach((value, key) => {
+    dirt[key] = round(value, 1);
+    remaining += value;
+  });
+  return {
+    version: SESSION_VERSION,
+    levelId,
+    savedAt: new Date().toISOString(),
+    progress: initialDirt > 0 ? round(Math.max(0, 1 - remaining / initialDirt) * 100, 1) : 0,
+    dirt,
+    initialDirt,
+    pose: { x: round(pose.x, 3), z: round(pose.z, 3), heading: round(pose.heading, 3) },
+    elapsed,
+    distance,
+    camera: cameraMode,
+    battery,
+    tank,
+    counters: { ...counters }
+  };
+};
+
+// The session's state laid over a freshly seeded level, or null when the
+// session is for another level or from an incompatible version. Cells the
+// level no longer has are dropped; new ones keep their seeded dirt.
+export const restoreSession = (session, level, seededDirt) => {
+  if (!session || session.version !== SESSION_VERSION || session.levelId !== level.id ||
+      !session.dirt || !session.pose || !isNumber(session.initialDirt)) {
+    return null;
+  }
+
+  const dirtLevels = new Map(seededDirt);
+  Object.entries(session.dirt).forEach(([key, value]) => {
+    if (dirtLevels.has(key) && isNumber(value)) dirtLevels.set(key, value);
+  });
+
+  return {
+    dirtLevels,
+    initialDirt: session.initialDirt,
+    pose: session.pose,
+    elapsed: session.elapsed || 0,
+    distance: session.distance || 0,
+    battery: session.battery,
+    tank: session.tank,
+    counters: { scrubbed: 0, messes: 0, collisions: 0, ...session.counters }
+  };
+};
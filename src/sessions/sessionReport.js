@@ -0,0 +1,84 @@
+// Session reports for the ops team: everything about a scene at the moment it
+// was exported, as a JSON document and a spreadsheet-friendly CSV of the
+// progress timeline. Built entirely from the simulation's own state.
+import { parseCellKey } from '../levels/levelRules.js';
+import { isClean } from '../game/dirt.js';
+import { getCleaningRates } from '../game/analytics.js';
+
+export const REPORT_FORMAT = 'lavobot-report';
+export const REPORT_VERSION = 1;
+
+const TIMELINE_COLUMNS = ['time_s', 'cleanliness_pct', 'cleaned_tiles', 'dirt_scrubbed_cells', 'cleaning_rate_per_min'];
+
+const round = (value, places) => Number(value.toFixed(places));
+
+// `stats` is the simulation's getStats(), `analytics` its getAnalytics() and
+// `dirtLevels` its getDirtLevels(). `startedAt` is when the scene was opened.
+export const createSessionReport = ({
+  level,
+  mode,
+  startedAt,
+  exportedAt = new Date().toISOString(),
+  stats,
+  analytics,
+  dirtLevels
+}) => {
+  // Row by row from the north-west corner, like reading the minimap
+  const cells = Array.from(dirtLevels, ([key, dirt]) => ({
+    ...parseCellKey(key),
+    dirt: round(dirt, 1),
+    clean: isClean(dirt),
+    passes: analytics.passes.get(key) || 0
+  })).sort((a, b) => a.z - b.z || a.x - b.x);
+
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    scene: { id: level.id, name: level.name },
+    mode,
+    startedAt,
+    exportedAt,
+    stats: {
+      elapsed: stats.run.elapsed,
+      cleanliness: stats.progress,
+      cleanedTiles: stats.cleanedTiles,
+      totalTiles: stats.totalTiles,
+      remainingTiles: stats.remainingTiles,
+      dirtScrubbed: stats.dirtScrubbed,
+      messes: stats.messes,
+      collisions: stats.collisions,
+      distance: stats.run.distance,
+      battery: stats.battery.charge,
+      tank: stats.tank.level
+    },
+    analytics: {
+      duration: analytics.duration,
+      pathLength: analytics.pathLength,
+      idleTime: analytics.idleTime,
+      overlap: analytics.overlap,
+      visitedCells: analytics.visitedCells,
+      totalPasses: analytics.totalPasses,
+      missedRegions: analytics.missedRegions
+    },
+    cells,
+    timeline: analytics.timeline
+  };
+};
+
+// One row per timeline sample; the rate is over the stretch since the row
+// before, so the first row leaves it empty
+export const timelineToCsv = (timeline) => {
+  const rates = [null, ...getCleaningRates(timeline).map(({ rate }) => rate)];
+  const rows = timeline.map((sample, i) => [
+    sample.time,
+    sample.cleanliness,
+    sample.cleanedTiles,
+    sample.dirtScrubbed,
+    rates[i] === null ? '' : rates[i]
+  ].join(','));
+  return `${[TIMELINE_COLUMNS.join(','), ...rows].join('\n')}\n`;
+};
+
+// e.g. lavobot-parkingLot-2024-05-01T12-00-00-000Z.report.json
+export const reportFileName = (report, suffix) =>
+  `lavobot-${report.scene.id}-${report.exportedAt.replace(/[:.]/g, '-')}.${suffix}`;
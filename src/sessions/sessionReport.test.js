@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { getLevel } from '../levels';
+import { createSimulation } from '../game/simulation';
+import {
+  REPORT_FORMAT,
+  createSessionReport,
+  reportFileName,
+  timelineToCsv
+} from './sessionReport';
+
+const EXPORTED_AT = '2024-05-01T12:00:00.000Z';
+
+const reportAfter = (ticks) => {
+  const level = getLevel('parkingLot');
+  const simulation = createSimulation({ level });
+  simulation.setInput({ x: 0, z: -1 });
+  for (let i = 0; i < ticks; i++) simulation.step();
+  const report = createSessionReport({
+    level,
+    mode: 'free',
+    startedAt: '2024-05-01T11:58:00.000Z',
+    exportedAt: EXPORTED_AT,
+    stats: simulation.getStats(),
+    analytics: simulation.getAnalytics(),
+    dirtLevels: simulation.getDirtLevels()
+  });
+  return { report, simulation };
+};
+
+describe('createSessionReport', () => {
+  it('describes the scene, when it ran and how it is doing', () => {
+    const { report, simulation } = reportAfter(120);
+    expect(report.format).toBe(REPORT_FORMAT);
+    expect(report.scene).toEqual({ id: 'parkingLot', name: getLevel('parkingLot').name });
+    expect(report.startedAt).toBe('2024-05-01T11:58:00.000Z');
+    expect(report.exportedAt).toBe(EXPORTED_AT);
+    expect(report.stats.cleanliness).toBe(simulation.getCleanliness());
+    expect(report.analytics.pathLength).toBeGreaterThan(0);
+  });
+
+  it('lists the final state of every cell', () => {
+    const { report, simulation } = reportAfter(120);
+    const { stats } = report;
+    expect(report.cells).toHaveLength(stats.totalTiles);
+    expect(report.cells.filter(cell => cell.clean)).toHaveLength(stats.cleanedTiles);
+    const cell = report.cells[0];
+    expect(cell.dirt).toBeCloseTo(simulation.getDirtLevel(`${cell.x},${cell.z}`), 1);
+    expect(report.cells.some(({ passes }) => passes > 0)).toBe(true);
+  });
+
+  it('survives a round trip through JSON', () => {
+    const { report } = reportAfter(30);
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+});
+
+describe('timelineToCsv', () => {
+  it('writes a header and one row per sample', () => {
+    const csv = timelineToCsv([
+      { time: 0, cleanliness: 0, cleanedTiles: 0, dirtScrubbed: 0 },
+      { time: 30, cleanliness: 12.5, cleanedTiles: 4, dirtScrubbed: 2 }
+    ]);
+    expect(csv).toBe(
+      'time_s,cleanliness_pct,cleaned_tiles,dirt_scrubbed_cells,cleaning_rate_per_min\n' +
+      '0,0,0,0,\n' +
+      '30,12.5,4,2,4\n'
+    );
+  });
+});
+
+describe('reportFileName', () => {
+  it('names files after the scene and the export time', () => {
+    const { report } = reportAfter(1);
+    expect(reportFileName(report, 'timeline.csv'))
+      .toBe('lavobot-parkingLot-2024-05-01T12-00-00-000Z.timeline.csv');
+  });
+});
@@ -0,0 +1,77 @@
+// Where sessions live: one autosave per scene that is resumed when the scene is
+// opened again, plus any number of named save slots.
+import { getBrowserStorage } from '../browserStorage';
+
+export const AUTOSAVE_PREFIX = 'lavobot.session.';
+export const SAVES_KEY = 'lavobot.saves';
+
+export const createSessionStore = (storage = getBrowserStorage()) => {
+  const readJson = (key, fallback) => {
+    try {
+      const value = JSON.parse(storage.getItem(key));
+      return value === null ? fallback : value;
+    } catch (error) {
+      return fallback;
+    }
+  };
+
+  // A full or unavailable storage must never take the game down with it
+  const writeJson = (key, value) => {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const readSaves = () => readJson(SAVES_KEY, {});
+
+  return {
+    loadAutosave(levelId) {
+      return readJson(AUTOSAVE_PREFIX + levelId, null);
+    },
+
+    writeAutosave(session) {
+      return writeJson(AUTOSAVE_PREFIX + session.levelId, session);
+    },
+
+    clearAutosave(levelId) {
+      try {
+        storage.removeItem(AUTOSAVE_PREFIX + levelId);
+      } catch (error) {
+        // Nothing to clear from a storage that cannot be reached
+      }
+    },
+
+    // Newest first: [{ name, levelId, savedAt, progress }]
+    listSaves() {
+      return Object.values(readSaves())
+        .map(({ name, session }) => ({
+          name,
+          levelId: session.levelId,
+          savedAt: session.savedAt,
+          progress: session.progress
+        }))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    },
+
+    readSave(name) {
+      const save = readSaves()[name];
+      return save ? save.session : null;
+    },
+
+    // Saving under an existing name overwrites that slot
+    writeSave(name, session) {
+      const saves = readSaves();
+      saves[name] = { name, session };
+      return writeJson(SAVES_KEY, saves);
+    },
+
+    deleteSave(name) {
+      const saves = readSaves();
+      delete saves[name];
+      writeJson(SAVES_KEY, saves);
+    }
+  };
+};
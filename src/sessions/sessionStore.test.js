@@ -0,0 +1,44 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { AUTOSAVE_PREFIX, createSessionStore } from './sessionStore';
+
+const SESSION = { levelId: 'parkingLot', savedAt: '2024-05-01T12:00:00.000Z', progress: 10 };
+
+// Storage that refuses everything, like a browser blocking site data
+const brokenStorage = {
+  getItem: () => { throw new Error('denied'); },
+  setItem: () => { throw new Error('denied'); },
+  removeItem: () => { throw new Error('denied'); }
+};
+
+describe('createSessionStore', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    window.localStorage.clear();
+  });
+
+  it('keeps, resumes and clears an autosave', () => {
+    const store = createSessionStore();
+    expect(store.writeAutosave(SESSION)).toBe(true);
+    expect(createSessionStore().loadAutosave('parkingLot')).toEqual(SESSION);
+    store.clearAutosave('parkingLot');
+    expect(window.localStorage.getItem(AUTOSAVE_PREFIX + 'parkingLot')).toBeNull();
+  });
+
+  it('carries on without a working storage', () => {
+    const store = createSessionStore(brokenStorage);
+    expect(store.writeAutosave(SESSION)).toBe(false);
+    expect(store.loadAutosave('parkingLot')).toBeNull();
+    expect(() => store.clearAutosave('parkingLot')).not.toThrow();
+    expect(store.listSaves()).toEqual([]);
+  });
+
+  it('carries on when the browser will not hand over localStorage at all', () => {
+    vi.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new DOMException('denied', 'SecurityError');
+    });
+    const store = createSessionStore();
+    expect(store.writeAutosave(SESSION)).toBe(false);
+    expect(store.loadAutosave('parkingLot')).toBeNull();
+    expect(() => store.clearAutosave('parkingLot')).not.toThrow();
+  });
+});
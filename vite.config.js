@@ -22,5 +22,8 @@ export default defineConfig({
         }
       }
     }
+  },
+  test: {
+    environment: 'jsdom'
   }
 }); 
\ No newline at end of file